@@ -2,18 +2,39 @@ import 'dotenv/config';
 import express from 'express';
 import line from '@line/bot-sdk';
 import { createClient } from '@supabase/supabase-js';
+import { createHash, createHmac, randomUUID, timingSafeEqual } from 'node:crypto';
+import { appendFile, mkdir, readFile, stat } from 'node:fs/promises';
+import path from 'node:path';
 
 /**
  * =========================================================
  *  LINE Bot for Inventory（快回 + 去重 + 只有出庫鎖 5 秒）
  *  - 查詢：只在「當日有庫存（約 200 筆）」內做關鍵字比對（快）
+ *  - 查全：get_product_master_stock（全商品主檔，含無庫存/最後出庫日）
  *  - 快照：public.get_business_day_stock（與試算表一致）
  *  - 出庫：fifo_out_and_log（單一交易）
+ *  - 入庫：fifo_in_and_log（單一交易，預設僅主管）
+ *  - 調撥：transfer_and_log（出/入兩腳同一交易）
+ *  - 撤銷：undo_last_out（回沖本人最後一筆出庫，還原 FIFO 批次）
+ *  - 低庫存：出庫後 + 定期掃描，低於 reorder_points 推播到分店群組（每營業日同品項一次）
+ *  - 日結：05:00 切日後推播前一營業日彙總到各分店群組（get_out_logs + daily_sheet_rows_full）
+ *  - 權限：role_permissions（角色 × 功能，可限倉），handleEvent 統一檢查
+ *  - 多分店：user_branches；1:1 用「切換 分店」換目前分店，「查 X 全分店」跨店比較
+ *  - 帳號綁定：App 產生一次性驗證碼 → 私訊「綁定 123456」寫入 line_user_map
+ *  - 管理：綁定分店 / 設定分店 / 設定角色 / 黑名單 / 成員（寫 admin_audit_logs）
+ *  - 盤點：主管開盤 → 人員回報實盤 → 主管確認後 post_stocktake_adjustments（單一交易）+ 差異報告送 GAS
  *  - 支援 message + postback
  *  - webhook 立刻回 200（避免 LINE 重送）
  *
+ *  - GAS 驗證：query（舊，?secret=）或 hmac（HMAC-SHA256 + timestamp + nonce，雙密鑰輪替）
+ *  - 庫存事件 fan-out 到 sink（gas / http / slack / discord / file），依分店路由（app_settings.inventory_sinks）
+ *  - 每個 sink 各一筆 outbox（gas_outbox）：先寫表再由背景 worker 送出，指數退避重試，超過次數轉 dead（可查詢/重送）
+ *  - 對帳：daily_sheet_rows_full vs 試算表（GAS 讀取端點或匯出檔），不符推播給管理員；「對帳 重送」補送缺漏紀錄
+ *  - REST API：/api/stock、/api/search、/api/out（API key 或 Supabase JWT；出庫與 LINE 共用 performOut 驗證）
+ *  - 對話狀態（選定商品/倉別、去重、鎖、待確認、盤點…）走 state store：STATE_STORE=memory | supabase（bot_state，可多台水平擴充）
+ *
  *  ✅ 重點修正：
- *  A) 只對「出庫」做 per-user lock（5 秒），查詢/選倉/點品項不鎖
+ *  A) 只對「出庫/入庫/調撥/撤銷」做 per-user lock（5 秒），查詢/選倉/點品項不鎖
  *  B) 事件去重（webhookEventId / message.id）避免 LINE 重送造成卡與重複處理
  *  C) reply 失敗 → 自動 push fallback（可 push 到 groupId 或 userId）
  *  D) Supabase / LINE / GAS 全部加 timeout，避免卡死
@@ -30,6 +51,22 @@ const {
   DEFAULT_GROUP = 'default',
   GAS_WEBHOOK_URL: ENV_GAS_URL,
   GAS_WEBHOOK_SECRET: ENV_GAS_SECRET,
+  GAS_AUTH_MODE: ENV_GAS_AUTH_MODE = 'query', // 'query'（舊：?secret=）| 'hmac'（簽章）；可被 app_settings.gas_auth_mode 覆寫
+  UNDO_WINDOW_MINUTES = '0', // 0 = 整個營業日（05:00 切日）內皆可撤銷
+  OUT_CONFIRM_MAX_PIECES = '0', // 預設門檻（換算件數），0 = 不啟用；可被 app_settings.out_confirm_rules 覆寫
+  OUT_CONFIRM_MAX_AMOUNT = '0', // 預設門檻（金額），0 = 不啟用
+  OUT_CONFIRM_TTL_SEC = '120',
+  REPLY_FORMAT = 'flex', // 'flex' | 'text'（text = 全部改回純文字）
+  LOW_STOCK_SWEEP_MIN = '30', // 低庫存定期掃描間隔（分鐘），0 = 關閉
+  DAILY_REPORT_AT = '05:10', // 日結推播時間（台北 HH:mm，需在 05:00 切日後），空字串 = 關閉
+  STATE_STORE = 'memory', // 'memory'（單台）| 'supabase'（bot_state 表，多台共用）
+  GAS_OUTBOX_POLL_SEC = '15', // outbox worker 輪詢間隔（秒），0 = 關閉 worker
+  GAS_OUTBOX_MAX_ATTEMPTS = '8', // 超過次數轉 dead
+  GAS_OUTBOX_BACKOFF_SEC = '30', // 第 1 次重試等待，之後每次 ×2（上限 1 小時）
+  ADMIN_API_TOKEN = '', // /admin/* 管理端點的 Bearer token，空字串 = 關閉端點
+  RECONCILE_AT = '05:30', // 每日對帳時間（台北 HH:mm，對前一營業日），空字串 = 關閉
+  RECONCILE_FILE = '', // 有值 = 改讀匯出檔（.json / .csv）而不是呼叫 GAS 讀取端點
+  BOT_NO_LISTEN = '', // '1' = 只載入不開 port / 不跑排程（單元測試 import 用）
 } = process.env;
 
 if (!LINE_CHANNEL_ACCESS_TOKEN || !LINE_CHANNEL_SECRET) console.error('缺少 LINE 環境變數');
@@ -90,8 +127,8 @@ function getSupabaseHost() {
 const SUPA_HOST = getSupabaseHost();
 
 /* ======== Runtime caches ======== */
-const LAST_WAREHOUSE_CODE_BY_USER_BRANCH = new Map(); // key=`${userId}::${branch}` -> warehouse_code
-const LAST_SKU_BY_USER_BRANCH = new Map();            // key=`${userId}::${branch}` -> sku(lower)
+// 多分店使用者：回覆標示目前分店
+const EVENT_BRANCH_TAG = new WeakMap(); // event -> branch
 
 const WH_LABEL_CACHE = new Map(); // key: kind_id 或 kind_name → kind_name（中文）
 const WH_CODE_CACHE = new Map();  // key: kind_name（中文） → kind_id（代碼）
@@ -99,13 +136,160 @@ const WH_CODE_CACHE = new Map();  // key: kind_name（中文） → kind_id（
 // 當日庫存清單快取（3 秒）
 const STOCK_LIST_CACHE = new Map(); // key=`${branch}::${bizDate}` -> { ts, rows }
 
-// 事件去重（2 分鐘）
-const EVENT_DEDUP = new Map(); // id -> ts
+// 商品主檔（含無庫存）快取（60 秒）
+const MASTER_LIST_CACHE = new Map(); // key=`${branch}::${bizDate}` -> { ts, rows }
+
+// 使用者額外分店（user_branches）快取（5 分鐘；由 App 維護，bot 不寫）
+const USER_BRANCHES_CACHE = new Map(); // userId -> { ts, branches }
+
+/* ======== State store（對話狀態；可多台共用） ======== */
+// 介面：get / set / setIfAbsent（原子；去重、搶鎖用）/ del（回傳是否真的刪到；用來「認領」）/ list（依 key 前綴）
+// 每筆都帶 TTL（ms），過期視同不存在。namespace 與 key：
+//   last_sku        `${userId}::${branch}` -> sku(lower)
+//   last_wh         `${userId}::${branch}` -> { code, sku }（是替哪個商品選的倉）
+//   active_branch   userId -> branch（1:1 目前分店）
+//   dedup           webhook 事件 id（2 分鐘）
+//   out_lock        `${userId}::${branch}`（只鎖出庫/入庫，5 秒）
+//   pending_out     id -> { lineUserId, branch, sku, warehouseCode, outBox, outPiece }
+//   stocktake       `${branch}::${warehouseCode}` -> { branch, warehouseCode, warehouseLabel, startedBy, startedAt }
+//   stocktake_count `${branch}::${warehouseCode}::${sku}` -> { box, piece, name, by, at }（每品項一筆，多人同時回報不互蓋）
+//   low_stock       `${bizDate}::${branch}::${sku}::${wh}`（同營業日只推一次）
+//   daily_report    bizDate（多台只推一次）
+//   reconcile       bizDate（每日對帳，多台只跑一次）
+//   link_fail       userId -> { count, firstAt }
+//   search_kw       短 id -> 搜尋關鍵字（翻頁 postback 放不下時）
 const EVENT_DEDUP_TTL_MS = 2 * 60 * 1000;
-
-// 出庫鎖（只鎖出庫，5 秒）
-const OUT_LOCK = new Map(); // key=`${userId}::${branch}` -> untilMs
 const OUT_LOCK_MS = 5000;
+const CONV_STATE_TTL_MS = 24 * 60 * 60 * 1000; // 選定商品/倉別
+const ACTIVE_BRANCH_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const STOCKTAKE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const BIZ_DAY_FLAG_TTL_MS = 26 * 60 * 60 * 1000; // 低庫存/日結旗標：撐過一個營業日
+const PENDING_OUT_TTL_MS = pickNum(OUT_CONFIRM_TTL_SEC, 120) * 1000;
+const POSTBACK_DATA_MAX = 300; // LINE postback data 上限（字元）
+
+function createMemoryStateStore() {
+  const data = new Map(); // `${ns}::${key}` -> { value, expiresAt }
+  const id = (ns, key) => `${ns}::${key}`;
+  const alive = (e) => !!e && e.expiresAt > Date.now();
+
+  setInterval(() => {
+    for (const [k, e] of data.entries()) if (!alive(e)) data.delete(k);
+  }, 60 * 1000).unref();
+
+  return {
+    kind: 'memory',
+    async get(ns, key) {
+      const e = data.get(id(ns, key));
+      return alive(e) ? e.value : null;
+    },
+    async set(ns, key, value, ttlMs) {
+      data.set(id(ns, key), { value, expiresAt: Date.now() + ttlMs });
+    },
+    async setIfAbsent(ns, key, value, ttlMs) {
+      if (alive(data.get(id(ns, key)))) return false;
+      data.set(id(ns, key), { value, expiresAt: Date.now() + ttlMs });
+      return true;
+    },
+    async del(ns, key) {
+      const e = data.get(id(ns, key));
+      data.delete(id(ns, key));
+      return alive(e);
+    },
+    async list(ns, prefix = '') {
+      const head = id(ns, prefix);
+      const out = [];
+      for (const [k, e] of data.entries()) {
+        if (k.startsWith(head) && alive(e)) out.push({ key: k.slice(ns.length + 2), value: e.value });
+      }
+      return out;
+    },
+  };
+}
+
+/*
+ * Supabase：bot_state(ns text, key text, value jsonb, expires_at timestamptz, primary key (ns, key))
+ * setIfAbsent 走 RPC bot_state_set_if_absent(p_ns, p_key, p_value, p_ttl_ms) → boolean：
+ *   insert ... on conflict (ns, key) do update set value = excluded.value, expires_at = excluded.expires_at
+ *   where bot_state.expires_at <= now() returning true
+ * 資料庫出錯時：
+ *  - setIfAbsent（鎖 / 盤點 / 一次性旗標）一律 fail closed 回 false，寧可請使用者重試也不重複異動
+ *    例外是 dedup：退回本機記憶體，避免資料庫故障時整批訊息被當成重複丟掉
+ *  - 其餘（選定商品/倉別等）退回本機記憶體；兩者都以 console.error 記錄
+ */
+function createSupabaseStateStore() {
+  const local = createMemoryStateStore();
+  const nowIso = () => new Date().toISOString();
+  const expIso = (ttlMs) => new Date(Date.now() + ttlMs).toISOString();
+  const fallback = (op, ns, error, fn) => {
+    console.error(`[STATE] ${op} ns=${ns} error, fallback to per-instance memory:`, error?.message || error);
+    return fn();
+  };
+
+  setInterval(async () => {
+    const { error } = await supabase.from('bot_state').delete().lte('expires_at', nowIso());
+    if (error) console.warn('[STATE] gc error:', error.message);
+  }, 10 * 60 * 1000).unref();
+
+  return {
+    kind: 'supabase',
+    async get(ns, key) {
+      const { data, error } = await supabase
+        .from('bot_state')
+        .select('value')
+        .eq('ns', ns)
+        .eq('key', key)
+        .gt('expires_at', nowIso())
+        .maybeSingle();
+      if (error) return fallback('get', ns, error, () => local.get(ns, key));
+      return data?.value ?? null;
+    },
+    async set(ns, key, value, ttlMs) {
+      const { error } = await supabase
+        .from('bot_state')
+        .upsert({ ns, key, value, expires_at: expIso(ttlMs) }, { onConflict: 'ns,key' });
+      if (error) return fallback('set', ns, error, () => local.set(ns, key, value, ttlMs));
+    },
+    async setIfAbsent(ns, key, value, ttlMs) {
+      const { data, error } = await supabase.rpc('bot_state_set_if_absent', {
+        p_ns: ns,
+        p_key: key,
+        p_value: value,
+        p_ttl_ms: ttlMs,
+      });
+      if (error) {
+        if (ns === 'dedup') return fallback('setIfAbsent', ns, error, () => local.setIfAbsent(ns, key, value, ttlMs));
+        console.error(`[STATE] setIfAbsent ns=${ns} error, fail closed:`, error.message);
+        return false;
+      }
+      return data === true;
+    },
+    async del(ns, key) {
+      const { data, error } = await supabase
+        .from('bot_state')
+        .delete()
+        .eq('ns', ns)
+        .eq('key', key)
+        .gt('expires_at', nowIso())
+        .select('key');
+      if (error) return fallback('del', ns, error, () => local.del(ns, key));
+      return (data || []).length > 0;
+    },
+    async list(ns, prefix = '') {
+      const { data, error } = await supabase
+        .from('bot_state')
+        .select('key, value')
+        .eq('ns', ns)
+        .like('key', `${prefix.replace(/[\\%_]/g, '\\$&')}%`)
+        .gt('expires_at', nowIso());
+      if (error) return fallback('list', ns, error, () => local.list(ns, prefix));
+      return data || [];
+    },
+  };
+}
+
+// supabase state store = 多台部署；只能寫本機的東西（例如 file sink）在這種部署下不可用
+const MULTI_INSTANCE = String(STATE_STORE).trim().toLowerCase() === 'supabase';
+const stateStore = MULTI_INSTANCE ? createSupabaseStateStore() : createMemoryStateStore();
 
 /* ======== Fixed warehouse labels (code -> 中文) ======== */
 const FIX_CODE_TO_NAME = new Map([
@@ -137,6 +321,41 @@ function getBizDate0500TPE() {
   }).format(d); // yyyy-mm-dd
 }
 
+/* yyyy-mm-dd 往前一天 */
+function prevDate(ymd) {
+  return new Date(new Date(`${ymd}T00:00:00Z`).getTime() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/* 台北現在的 HH:mm */
+function tpeNowHHmm() {
+  return new Intl.DateTimeFormat('sv-SE', {
+    timeZone: 'Asia/Taipei',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false,
+  }).format(new Date());
+}
+
+/* 營業日起點（台北 05:00）的 Date */
+function getBizDayStart0500TPE(bizDate = getBizDate0500TPE()) {
+  return new Date(`${bizDate}T05:00:00+08:00`);
+}
+
+/* 台北時間 yyyy-mm-dd HH:mm（顯示用） */
+function formatTpe(ts) {
+  const d = new Date(ts);
+  if (!ts || Number.isNaN(d.getTime())) return '-';
+  return new Intl.DateTimeFormat('sv-SE', {
+    timeZone: 'Asia/Taipei',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false,
+  }).format(d);
+}
+
 function tpeNowISO() {
   const s = new Intl.DateTimeFormat('sv-SE', {
     timeZone: 'Asia/Taipei',
@@ -152,13 +371,6 @@ function tpeNowISO() {
 }
 
 /* ======== Dedup ======== */
-function gcDedup() {
-  const now = Date.now();
-  for (const [k, ts] of EVENT_DEDUP.entries()) {
-    if (now - ts > EVENT_DEDUP_TTL_MS) EVENT_DEDUP.delete(k);
-  }
-}
-
 function getEventDedupId(ev) {
   // LINE v2 常見：webhookEventId（最可靠）
   if (ev?.webhookEventId) return `weid:${ev.webhookEventId}`;
@@ -201,6 +413,31 @@ async function resolveWarehouseLabel(codeOrName) {
   return key;
 }
 
+/* 只認已知倉別（固定表或 warehouse_kinds），不認得回 null；用 eq 查詢，輸入不拼進 .or() 篩選字串 */
+async function findKnownWarehouseCode(codeOrName) {
+  const v = String(codeOrName || '').trim();
+  if (!v) return null;
+  if (FIX_CODE_TO_NAME.has(v)) return v;
+  for (const [code, name] of FIX_CODE_TO_NAME.entries()) if (name === v) return code;
+  if (WH_CODE_CACHE.has(v)) return WH_CODE_CACHE.get(v);
+
+  for (const col of ['kind_id', 'kind_name']) {
+    const { data, error } = await supabase
+      .from('warehouse_kinds')
+      .select('kind_id, kind_name')
+      .eq(col, v)
+      .limit(1)
+      .maybeSingle();
+    if (error) throw error;
+    if (data?.kind_id) {
+      WH_CODE_CACHE.set(data.kind_name, data.kind_id);
+      WH_LABEL_CACHE.set(data.kind_id, data.kind_name);
+      return data.kind_id;
+    }
+  }
+  return null;
+}
+
 async function getWarehouseCodeForLabel(displayNameOrCode) {
   const label = String(displayNameOrCode || '').trim();
   if (!label) return 'unspecified';
@@ -251,6 +488,12 @@ async function getWarehouseCodeForLabel(displayNameOrCode) {
 }
 
 /* ======== Branch & User ======== */
+const NEED_LINK_MSG = '找不到對應的使用者，請先在 App 取得驗證碼，私訊機器人「綁定 驗證碼」完成帳號綁定。';
+
+// 綁定驗證碼錯誤次數（防暴力嘗試；存 state store link_fail）
+const LINK_FAIL_MAX = 5;
+const LINK_FAIL_WINDOW_MS = 10 * 60 * 1000;
+
 async function resolveAuthUuidFromLineUserId(lineUserId) {
   if (!lineUserId) return null;
   const { data, error } = await supabase
@@ -265,12 +508,32 @@ async function resolveAuthUuidFromLineUserId(lineUserId) {
   return data?.auth_user_id || null;
 }
 
+/* 使用者可用的分店：users.群組（主分店）+ user_branches */
+async function getUserBranches(userId, primary = null) {
+  const list = primary ? [primary] : [];
+  if (!userId) return list;
+
+  let extra = USER_BRANCHES_CACHE.get(userId);
+  if (!extra || Date.now() - extra.ts >= 5 * 60 * 1000) {
+    const { data, error } = await supabase.from('user_branches').select('群組').eq('user_id', userId);
+    if (error) console.warn('[user_branches] error:', error.message);
+    extra = { ts: Date.now(), branches: (data || []).map((r) => r.群組).filter(Boolean) };
+    // 查詢失敗不快取，下一個事件再試
+    if (!error) USER_BRANCHES_CACHE.set(userId, extra);
+  }
+  for (const b of extra.branches) {
+    if (!list.includes(b)) list.push(b);
+  }
+  return list;
+}
+
 async function resolveBranchAndRole(event) {
   const src = event.source || {};
   const userId = src.userId || null;
   const isGroup = src.type === 'group';
   let role = 'user',
-    blocked = false;
+    blocked = false,
+    primary = null;
 
   if (userId) {
     const { data: u } = await supabase
@@ -280,7 +543,9 @@ async function resolveBranchAndRole(event) {
       .maybeSingle();
     role = u?.角色 || 'user';
     blocked = !!u?.黑名單;
+    primary = u?.群組 || null;
   }
+  const branches = await getUserBranches(userId, primary);
 
   if (isGroup) {
     const { data: lg } = await supabase
@@ -288,17 +553,29 @@ async function resolveBranchAndRole(event) {
       .select('群組')
       .eq('line_group_id', src.groupId)
       .maybeSingle();
-    return { branch: lg?.群組 || null, role, blocked, needBindMsg: '此群組尚未綁定分店，請管理員設定' };
+    return { branch: lg?.群組 || null, branches, role, blocked, needBindMsg: '此群組尚未綁定分店，請管理員設定' };
   } else {
-    const { data: u2 } = await supabase
-      .from('users')
-      .select('群組')
-      .eq('user_id', userId)
-      .maybeSingle();
-    return { branch: u2?.群組 || null, role, blocked, needBindMsg: '此使用者尚未綁定分店，請管理員設定' };
+    // 1:1：有切換過且仍在可用清單內 → 用切換後的分店
+    const active = userId ? await stateStore.get('active_branch', userId) : null;
+    const branch = active && branches.includes(active) ? active : primary || branches[0] || null;
+    return { branch, branches, role, blocked, needBindMsg: '此使用者尚未綁定分店，請管理員設定' };
   }
 }
 
+/* ======== 管理稽核（admin_audit_logs） ======== */
+async function writeAdminAudit({ actor, action, target, before = null, after = null, branch = null }) {
+  const { error } = await supabase.from('admin_audit_logs').insert({
+    actor_line_user_id: actor,
+    action,
+    target,
+    before,
+    after,
+    group_name: branch,
+    created_at: new Date().toISOString(),
+  });
+  if (error) console.warn('[稽核] admin_audit_logs insert error:', error.message);
+}
+
 async function autoRegisterUser(lineUserId) {
   if (!lineUserId) return;
   const { data } = await supabase.from('users').select('user_id').eq('user_id', lineUserId).maybeSingle();
@@ -306,16 +583,148 @@ async function autoRegisterUser(lineUserId) {
     await supabase.from('users').insert({ user_id: lineUserId, 群組: DEFAULT_GROUP, 角色: 'user', 黑名單: false });
 }
 
-/* ======== Last product helpers ======== */
-function setLastSku(lineUserId, branch, sku) {
+/* ======== 角色權限（role_permissions；可限倉，5 分鐘快取） ======== */
+// role_permissions：role, permission, warehouse_codes（text[]，null = 不限倉）
+// DB 有設定的角色以 DB 為準；沒設定的角色用下列預設
+const PERMISSION_LABEL = {
+  query: '查詢',
+  out: '出庫',
+  in: '入庫',
+  transfer: '調撥',
+  undo: '撤銷',
+  report: '報表',
+  stocktake: '盤點回報',
+  stocktake_manage: '盤點管理',
+  admin: '管理',
+};
+const DEFAULT_ROLE_PERMISSIONS = {
+  唯讀: ['query'],
+  店員: ['query', 'out', 'transfer', 'undo', 'stocktake'],
+  主管: ['query', 'out', 'in', 'transfer', 'undo', 'report', 'stocktake', 'stocktake_manage'],
+  管理員: Object.keys(PERMISSION_LABEL),
+};
+const ROLE_ALIASES = { user: '店員' }; // 舊資料 users.角色 = 'user'
+const UNKNOWN_ROLE_BASELINE = '唯讀'; // DB 與預設都沒有的角色（打錯字、新角色還沒設權限）至少還能查詢
+
+let ROLE_PERM_CACHE = null; // Map role -> Map permission -> Set(warehouse_code) | null
+let ROLE_PERM_LAST_LOAD_MS = 0;
+
+function normalizeRole(role) {
+  const r = String(role || '').trim();
+  return ROLE_ALIASES[r] || r || '店員';
+}
+
+async function getRolePermissions() {
+  const now = Date.now();
+  if (ROLE_PERM_CACHE && now - ROLE_PERM_LAST_LOAD_MS < 5 * 60 * 1000) return ROLE_PERM_CACHE;
+
+  const map = new Map();
+  for (const [role, perms] of Object.entries(DEFAULT_ROLE_PERMISSIONS)) {
+    map.set(role, new Map(perms.map((p) => [p, null])));
+  }
+
+  try {
+    const { data, error } = await supabase.from('role_permissions').select('role, permission, warehouse_codes');
+    if (error) throw error;
+    const fromDb = new Map();
+    for (const r of data || []) {
+      const role = normalizeRole(r.role);
+      if (!fromDb.has(role)) fromDb.set(role, new Map());
+      const whs = Array.isArray(r.warehouse_codes) && r.warehouse_codes.length ? new Set(r.warehouse_codes) : null;
+      fromDb.get(role).set(String(r.permission || '').trim(), whs);
+    }
+    for (const [role, perms] of fromDb.entries()) map.set(role, perms);
+  } catch (e) {
+    console.warn('⚠️ 載入角色權限失敗（role_permissions），使用預設：', e?.message || e);
+  }
+
+  ROLE_PERM_CACHE = map;
+  ROLE_PERM_LAST_LOAD_MS = now;
+  return map;
+}
+
+/* whCode 有給時一併檢查倉庫限制 */
+async function hasPermission(role, permission, whCode = null) {
+  const map = await getRolePermissions();
+  const perms = map.get(normalizeRole(role)) || map.get(UNKNOWN_ROLE_BASELINE);
+  if (!perms || !perms.has(permission)) return false;
+  const whs = perms.get(permission);
+  return !whCode || !whs || whs.has(whCode);
+}
+
+async function permissionDeniedText(permission, whCode = null) {
+  const label = PERMISSION_LABEL[permission] || permission;
+  return whCode ? `您無法在「${await resolveWarehouseLabel(whCode)}」使用「${label}」` : `您無法使用「${label}」`;
+}
+
+/* 無權限時直接回覆；回傳是否允許 */
+async function ensurePermission(event, role, permission, whCode = null) {
+  if (await hasPermission(role, permission, whCode)) return true;
+  await replyOrPush(event, { type: 'text', text: await permissionDeniedText(permission, whCode) });
+  return false;
+}
+
+/* 指令 / postback → 所需權限 */
+function permissionForCommand(cmd) {
+  switch (cmd?.type) {
+    case 'change':
+      return cmd.action === 'in' ? 'in' : 'out';
+    case 'batch_out':
+    case 'out_postback':
+    case 'out_confirm_postback':
+    case 'out_cancel_postback':
+      return 'out';
+    case 'transfer':
+      return 'transfer';
+    case 'undo':
+      return 'undo';
+    case 'out_report':
+      return 'report';
+    case 'reconcile':
+      return cmd.resend ? 'admin' : 'report';
+    case 'admin':
+      return 'admin';
+    case 'link':
+    case 'switch_branch':
+      return null; // 綁定自己的帳號 / 切換自己的分店不需權限
+    case 'stocktake':
+      return ['count', 'status'].includes(cmd.action) ? 'stocktake' : 'stocktake_manage';
+    default:
+      return 'query';
+  }
+}
+
+/* ======== Last product / warehouse helpers ======== */
+async function setLastSku(lineUserId, branch, sku) {
   if (!lineUserId) return;
-  LAST_SKU_BY_USER_BRANCH.set(`${lineUserId}::${branch}`, skuKey(sku));
+  await stateStore.set('last_sku', `${lineUserId}::${branch}`, skuKey(sku), CONV_STATE_TTL_MS);
 }
-function getLastSku(lineUserId, branch) {
+async function getLastSku(lineUserId, branch) {
   if (!lineUserId) return null;
-  const mem = LAST_SKU_BY_USER_BRANCH.get(`${lineUserId}::${branch}`);
+  const mem = await stateStore.get('last_sku', `${lineUserId}::${branch}`);
   return mem ? skuKey(mem) : null;
 }
+async function setLastWarehouse(lineUserId, branch, whCode, sku) {
+  await stateStore.set('last_wh', `${lineUserId || ''}::${branch}`, { code: whCode, sku: skuKey(sku) }, CONV_STATE_TTL_MS);
+}
+/* sku 有給時，只回傳替這個商品選的倉（換了商品就不沿用上一個商品的倉） */
+async function getLastWarehouse(lineUserId, branch, sku = null) {
+  const v = await stateStore.get('last_wh', `${lineUserId || ''}::${branch}`);
+  if (!v) return null;
+  if (typeof v === 'string') return sku ? null : v; // 舊格式（只有代碼）
+  if (sku && v.sku !== skuKey(sku)) return null;
+  return v.code || null;
+}
+
+/* ======== 出入庫鎖（同 user + branch，5 秒自然過期） ======== */
+async function tryAcquireOutLock(lineUserId, branch) {
+  return stateStore.setIfAbsent('out_lock', `${lineUserId || 'no_user'}::${branch}`, 1, OUT_LOCK_MS);
+}
+
+/* 沒有實際異動就提早放鎖（例：只回了大量出庫確認） */
+async function releaseOutLock(lineUserId, branch) {
+  await stateStore.del('out_lock', `${lineUserId || 'no_user'}::${branch}`);
+}
 
 /* ======== LINE reply/push with timeout + fallback ======== */
 async function lineReplyWithTimeout(replyToken, message) {
@@ -334,7 +743,17 @@ async function linePushWithTimeout(to, message) {
   return Date.now() - t0;
 }
 
+/* 多分店使用者的回覆前面標示目前分店（文字 / Flex altText） */
+function withBranchTag(message, branch) {
+  if (!branch) return message;
+  const tag = `［${branch}］`;
+  if (message?.type === 'text') return { ...message, text: `${tag}\n${message.text}`.slice(0, 5000) };
+  if (message?.type === 'flex') return { ...message, altText: `${tag}${message.altText}`.slice(0, 400) };
+  return message;
+}
+
 async function replyOrPush(event, message) {
+  message = withBranchTag(message, EVENT_BRANCH_TAG.get(event));
   const up = ((Date.now() - STARTED_AT) / 1000).toFixed(1);
   const replyToken = event?.replyToken || null;
   const src = event?.source || {};
@@ -370,13 +789,11 @@ async function replyOrPush(event, message) {
 }
 
 /* ======== 業務日結存：單一 SKU（快照） ======== */
-async function getWarehouseStockBySku(branch, sku) {
+async function getWarehouseStockBySku(branch, sku, bizDate = getBizDate0500TPE()) {
   const group = String(branch || '').trim().toLowerCase();
   const s = skuKey(sku);
   if (!group || !s) return [];
 
-  const bizDate = getBizDate0500TPE();
-
   console.log(`[DB] host=${SUPA_HOST} ver=${BOT_VER}`);
   console.log(`[庫存 RPC] group=${group} bizDate=${bizDate} sku=${s} stage=before`);
 
@@ -469,6 +886,18 @@ async function getWarehouseSnapshot(branch, sku, warehouseCodeOrLabel) {
 }
 
 /* ======== ✅ 當日有庫存清單（一次 RPC + 快取） ======== */
+/* daily_sheet_rows_full 原始列（含 0 庫存；不快取） */
+async function fetchDailySheetRows(branch, bizDate) {
+  const group = String(branch || '').trim().toLowerCase();
+  console.log(`[DB] host=${SUPA_HOST} ver=${BOT_VER}`);
+  const t0 = Date.now();
+  const { data, error } = await supabase.rpc('daily_sheet_rows_full', { p_biz_date: bizDate, p_group: group });
+  const ms = Date.now() - t0;
+  if (error) throw error;
+  console.log(`[RPC] daily_sheet_rows_full ok ms=${ms}`);
+  return { rows: Array.isArray(data) ? data : [], ms };
+}
+
 async function getTodayStockRows(branch) {
   const group = String(branch || '').trim().toLowerCase();
   if (!group) return [];
@@ -478,27 +907,231 @@ async function getTodayStockRows(branch) {
   const cached = STOCK_LIST_CACHE.get(key);
   if (cached && Date.now() - cached.ts < 3000) return cached.rows; // 3 秒快取
 
+  const { rows, ms } = await fetchDailySheetRows(group, bizDate);
+  const kept = rows.filter((r) => pickNum(r['庫存箱數'] ?? 0, 0) > 0 || pickNum(r['庫存散數'] ?? 0, 0) > 0);
+
+  console.log(`[庫存清單] rpc ok ms=${ms} 行=${rows.length} 保留=${kept.length}`);
+
+  STOCK_LIST_CACHE.set(key, { ts: Date.now(), rows: kept });
+  return kept;
+}
+
+/* ======== 商品主檔（含無庫存；查全 用） ======== */
+async function getProductMasterRows(branch) {
+  const group = String(branch || '').trim().toLowerCase();
+  if (!group) return [];
+  const bizDate = getBizDate0500TPE();
+  const key = `${group}::${bizDate}`;
+
+  const cached = MASTER_LIST_CACHE.get(key);
+  if (cached && Date.now() - cached.ts < 60 * 1000) return cached.rows;
+
   console.log(`[DB] host=${SUPA_HOST} ver=${BOT_VER}`);
   const t0 = Date.now();
-  const { data, error } = await supabase.rpc('daily_sheet_rows_full', { p_biz_date: bizDate, p_group: group });
+  const { data, error } = await supabase.rpc('get_product_master_stock', { p_group: group, p_biz_date: bizDate });
   const ms = Date.now() - t0;
   if (error) throw error;
-  console.log(`[RPC] daily_sheet_rows_full ok ms=${ms}`);
 
   const rows = Array.isArray(data) ? data : [];
-  const kept = rows.filter((r) => pickNum(r['庫存箱數'] ?? 0, 0) > 0 || pickNum(r['庫存散數'] ?? 0, 0) > 0);
+  console.log(`[商品主檔] rpc ok ms=${ms} 行=${rows.length}`);
 
-  console.log(`[庫存清單] rpc ok ms=${ms} 行=${rows.length} 保留=${kept.length}`);
+  MASTER_LIST_CACHE.set(key, { ts: Date.now(), rows });
+  return rows;
+}
 
-  STOCK_LIST_CACHE.set(key, { ts: Date.now(), rows: kept });
-  return kept;
+async function searchProductMaster(keyword, branch) {
+  const k = String(keyword || '').trim();
+  if (!k) return [];
+  const [rows, aliases] = await Promise.all([getProductMasterRows(branch), getProductAliases()]);
+
+  const bySku = new Map();
+  for (const r of rows) {
+    const sku = skuKey(r.product_sku || r['貨品編號']);
+    if (!sku) continue;
+    const name = String(r.product_name || r['貨品名稱'] || sku).trim();
+    const score = scoreProductMatch(k, { sku, name, aliases: aliases.get(sku) || [] });
+    if (score <= 0) continue;
+
+    // 同 SKU 多倉列 → 合併結存
+    const box = pickNum(r.box ?? r['庫存箱數'] ?? 0, 0);
+    const piece = pickNum(r.piece ?? r['庫存散數'] ?? 0, 0);
+    const prev = bySku.get(sku);
+    if (prev) {
+      prev.box += box;
+      prev.piece += piece;
+      if (r.last_out_at && (!prev.lastOutAt || r.last_out_at > prev.lastOutAt)) prev.lastOutAt = r.last_out_at;
+      continue;
+    }
+    bySku.set(sku, {
+      sku,
+      name,
+      unitsPerBox: pickNum(r.units_per_box ?? r['箱入數'] ?? 1, 1),
+      price: pickNum(r.unit_price_piece ?? r['單價'] ?? 0, 0),
+      box,
+      piece,
+      lastOutAt: r.last_out_at || null,
+      lastBalanceBox: r.last_balance_box ?? null,
+      lastBalancePiece: r.last_balance_piece ?? null,
+      score,
+    });
+  }
+  return sortProductsStable([...bySku.values()]);
+}
+
+function describeMasterItem(p) {
+  if (p.box > 0 || p.piece > 0) return `${p.name}（#${skuDisplay(p.sku)}）${p.box}箱${p.piece}散`;
+  const lastBal =
+    p.lastBalanceBox != null || p.lastBalancePiece != null
+      ? `${pickNum(p.lastBalanceBox, 0)}箱${pickNum(p.lastBalancePiece, 0)}散`
+      : '0箱0散';
+  return `⛔ ${p.name}（#${skuDisplay(p.sku)}）無庫存｜最後出庫 ${p.lastOutAt ? formatTpe(p.lastOutAt) : '無紀錄'}｜最後結存 ${lastBal}`;
+}
+
+/* 出入庫後清掉該分店清單快取（入庫的新品項要能馬上查到） */
+function invalidateTodayStockRows(branch) {
+  const group = String(branch || '').trim().toLowerCase();
+  for (const cache of [STOCK_LIST_CACHE, MASTER_LIST_CACHE]) {
+    for (const k of cache.keys()) {
+      if (k.startsWith(`${group}::`)) cache.delete(k);
+    }
+  }
+}
+
+/* ======== 搜尋正規化（全半形 / 大小寫 / 空白 / 簡→繁） ======== */
+// 只做比對用：關鍵字與品名兩邊都轉換，所以一對多的字也不會漏
+const SIMP_CHARS =
+  '简体车门电动机乐爱龙猫鸟鱼马饮饼条装号个两万与东丝丢么乌书买亚产亲们价众优伞侠儿' +
+  '兰关兴养兽内册写军农冲凉减凤击刘刚创别剑剧办务劳区医华单卖卫厂历压厅发变叠叶员响' +
+  '团园围图圆圣场坏块处备复头夹奖妈妆娱孙学宝实宠宫对导寿将尔层岁岛币师带帮广庆库应' +
+  '开弹归录忆怀态恋恶惊战戏户扑扩扫护报拥挂挤换据摄摆数无旧时显暂术杀杂权来杨极枪柜' +
+  '标树样桥检欢气汇汉汤没泪泽洁浅测浓涂温游湾满滚灯灵炉点热爷状独狮猎环现玛珑画盖盘' +
+  '码确礼离种积称竞笔笼签类紧红约级纪纯纸线练组细织终经结绘给绝统继绳维绵编缩网罗联' +
+  '胜脑脚脸舰艺节苏苹药获萝虫虾补观视觉计记设话语说请读调贝贵货质购贴赛赶跃轮软轻载' +
+  '辆边达过运还这进远连选邮酱针钓钟钢钥钱铁银链锁锅键长闪问间闹队阳阴陆险随难雾静韩' +
+  '页顶项顺须领题颜风飞饭馆验鲁鲜鸡鸭鹅鹰黄齐齿龟';
+const TRAD_CHARS =
+  '簡體車門電動機樂愛龍貓鳥魚馬飲餅條裝號個兩萬與東絲丟麼烏書買亞產親們價眾優傘俠兒' +
+  '蘭關興養獸內冊寫軍農沖涼減鳳擊劉剛創別劍劇辦務勞區醫華單賣衛廠歷壓廳發變疊葉員響' +
+  '團園圍圖圓聖場壞塊處備復頭夾獎媽妝娛孫學寶實寵宮對導壽將爾層歲島幣師帶幫廣慶庫應' +
+  '開彈歸錄憶懷態戀惡驚戰戲戶撲擴掃護報擁掛擠換據攝擺數無舊時顯暫術殺雜權來楊極槍櫃' +
+  '標樹樣橋檢歡氣匯漢湯沒淚澤潔淺測濃塗溫遊灣滿滾燈靈爐點熱爺狀獨獅獵環現瑪瓏畫蓋盤' +
+  '碼確禮離種積稱競筆籠簽類緊紅約級紀純紙線練組細織終經結繪給絕統繼繩維綿編縮網羅聯' +
+  '勝腦腳臉艦藝節蘇蘋藥獲蘿蟲蝦補觀視覺計記設話語說請讀調貝貴貨質購貼賽趕躍輪軟輕載' +
+  '輛邊達過運還這進遠連選郵醬針釣鐘鋼鑰錢鐵銀鏈鎖鍋鍵長閃問間鬧隊陽陰陸險隨難霧靜韓' +
+  '頁頂項順須領題顏風飛飯館驗魯鮮雞鴨鵝鷹黃齊齒龜';
+const SIMP_TO_TRAD = new Map(Array.from(SIMP_CHARS).map((c, i) => [c, Array.from(TRAD_CHARS)[i]]));
+
+function normalizeSearchText(s) {
+  return Array.from(String(s || '').normalize('NFKC').toLowerCase())
+    .map((c) => SIMP_TO_TRAD.get(c) || c)
+    .join('')
+    .replace(/[\s_\-·・.,，、/\\()（）【】\[\]「」]+/g, ' ')
+    .trim();
+}
+
+function tokenizeSearch(s) {
+  return normalizeSearchText(s).split(' ').filter(Boolean);
+}
+
+/* 編輯距離（短字串用；超過 max 提早結束） */
+function editDistance(a, b, max = 2) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/* token 是否「差一個字」出現在 haystack 內（錯字） */
+function fuzzyContains(haystack, token) {
+  const chars = Array.from(token);
+  if (chars.length < 3) return false; // 太短的 token 差一字幾乎什麼都命中
+  const hs = Array.from(haystack);
+  for (let len = chars.length - 1; len <= chars.length + 1; len++) {
+    for (let i = 0; i + len <= hs.length; i++) {
+      if (editDistance(hs.slice(i, i + len).join(''), token, 1) <= 1) return true;
+    }
+  }
+  return false;
+}
+
+/* 無空白的中文關鍵字換了字序：8 成以上的字都在品名內 */
+function charCoverage(haystack, keyword) {
+  const chars = Array.from(keyword.replace(/\s+/g, ''));
+  if (chars.length < 2) return 0;
+  return chars.filter((c) => haystack.includes(c)).length / chars.length;
+}
+
+/* ======== 商品別名（product_aliases：注音/拼音/俗稱，有設定才比對） ======== */
+let PRODUCT_ALIAS_CACHE = null; // Map sku -> [alias(normalized)]
+let PRODUCT_ALIAS_LAST_LOAD_MS = 0;
+
+async function getProductAliases() {
+  const now = Date.now();
+  if (PRODUCT_ALIAS_CACHE && now - PRODUCT_ALIAS_LAST_LOAD_MS < 5 * 60 * 1000) return PRODUCT_ALIAS_CACHE;
+
+  const map = new Map();
+  try {
+    const { data, error } = await supabase.from('product_aliases').select('sku, alias');
+    if (error) throw error;
+    for (const r of data || []) {
+      const sku = skuKey(r.sku);
+      const alias = normalizeSearchText(r.alias);
+      if (!sku || !alias) continue;
+      if (!map.has(sku)) map.set(sku, []);
+      map.get(sku).push(alias);
+    }
+  } catch (e) {
+    console.warn('⚠️ 載入商品別名失敗（product_aliases）：', e?.message || e);
+  }
+  PRODUCT_ALIAS_CACHE = map;
+  PRODUCT_ALIAS_LAST_LOAD_MS = now;
+  return map;
+}
+
+/* ======== 相關度評分：完全相同編號 > 前綴 > 全部 token 命中 > 模糊 ======== */
+const SEARCH_SCORE = { EXACT_SKU: 100, PREFIX: 80, TOKENS: 60, FUZZY: 40 };
+
+function scoreProductMatch(keyword, { sku, name, aliases = [] }) {
+  const kw = normalizeSearchText(keyword);
+  const tokens = tokenizeSearch(keyword);
+  if (!tokens.length) return 0;
+
+  const nSku = normalizeSearchText(sku);
+  const nName = normalizeSearchText(name);
+  const fields = [nName, nSku, ...aliases];
+  const hay = fields.join(' ');
+
+  if (nSku === kw) return SEARCH_SCORE.EXACT_SKU;
+  if (fields.some((f) => f.startsWith(kw))) return SEARCH_SCORE.PREFIX;
+  if (tokens.every((t) => hay.includes(t))) return SEARCH_SCORE.TOKENS + (hay.includes(kw) ? 5 : 0);
+  if (tokens.every((t) => hay.includes(t) || fuzzyContains(hay, t))) return SEARCH_SCORE.FUZZY;
+  if (tokens.length === 1 && fields.some((f) => charCoverage(f, kw) >= 0.8)) return SEARCH_SCORE.FUZZY - 5;
+  return 0;
 }
 
 /* ======== ✅ 關鍵字查詢：只在當日庫存內比對（超快） ======== */
+// 回傳全部命中（不截斷），依相關度排序，同分再依名稱 → 編號（翻頁順序固定），分頁由呼叫端處理
+const SEARCH_PAGE_SIZE = 10;
+
+function sortProductsStable(list) {
+  return list.sort(
+    (a, b) => (b.score || 0) - (a.score || 0) || a.name.localeCompare(b.name, 'zh-Hant') || a.sku.localeCompare(b.sku),
+  );
+}
+
 async function searchByNameInStock(keyword, branch) {
   const k = String(keyword || '').trim();
   if (!k) return [];
-  const rows = await getTodayStockRows(branch);
+  const [rows, aliases] = await Promise.all([getTodayStockRows(branch), getProductAliases()]);
 
   const seen = new Set();
   const out = [];
@@ -508,31 +1141,36 @@ async function searchByNameInStock(keyword, branch) {
     if (!sku || seen.has(sku)) continue;
 
     const name = String(r['貨品名稱'] || '').trim();
-    if (name.toLowerCase().includes(k.toLowerCase())) {
+    const score = scoreProductMatch(k, { sku, name, aliases: aliases.get(sku) || [] });
+    if (score > 0) {
       seen.add(sku);
       out.push({
         sku,
         name,
         unitsPerBox: pickNum(r['箱入數'] ?? 1, 1),
         price: pickNum(r['單價'] ?? 0, 0),
+        score,
       });
-      if (out.length >= 10) break;
     }
   }
-  return out;
+  return sortProductsStable(out);
 }
 
+// SKU 比對：只把全形轉半形（ＡＢ－００１ → ab-001），- _ . 等符號是編號的一部分，兩邊同樣處理
+const skuMatchKey = (s) => skuKey(String(s || '').normalize('NFKC'));
+
 async function searchBySkuInStock(skuInput, branch) {
-  const s = skuKey(skuInput);
+  const s = skuMatchKey(skuInput);
   if (!s) return [];
   const rows = await getTodayStockRows(branch);
 
-  const exact = rows.find((r) => skuKey(r.product_sku || r['貨品編號']) === s);
+  const exact = rows.find((r) => skuMatchKey(r.product_sku || r['貨品編號']) === s);
   if (exact) {
+    const sku = skuKey(exact.product_sku || exact['貨品編號']);
     return [
       {
-        sku: s,
-        name: String(exact['貨品名稱'] || s).trim(),
+        sku,
+        name: String(exact['貨品名稱'] || sku).trim(),
         unitsPerBox: pickNum(exact['箱入數'] ?? 1, 1),
         price: pickNum(exact['單價'] ?? 0, 0),
       },
@@ -544,7 +1182,7 @@ async function searchBySkuInStock(skuInput, branch) {
   for (const r of rows) {
     const sku = skuKey(r.product_sku || r['貨品編號']);
     if (!sku || seen.has(sku)) continue;
-    if (sku.includes(s)) {
+    if (skuMatchKey(sku).includes(s)) {
       seen.add(sku);
       out.push({
         sku,
@@ -552,21 +1190,118 @@ async function searchBySkuInStock(skuInput, branch) {
         unitsPerBox: pickNum(r['箱入數'] ?? 1, 1),
         price: pickNum(r['單價'] ?? 0, 0),
       });
-      if (out.length >= 10) break;
     }
   }
+  return out.sort((a, b) => a.sku.localeCompare(b.sku));
+}
+
+/* ======== 條碼查詢（product_barcodes：一個 SKU 可多條碼，區分箱條碼/單件條碼） ======== */
+const PACK_TYPE_LABEL = { box: '箱條碼', piece: '單件條碼' };
+
+function normalizeBarcode(raw) {
+  return String(raw || '')
+    .replace(/[０-９Ａ-Ｚａ-ｚ]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 0xfee0)) // 全形 → 半形
+    .replace(/[\s\-－]/g, '')
+    .trim();
+}
+
+/* EAN-8 / UPC-A / EAN-13 / GTIN-14 檢查碼 */
+function isValidGtin(code) {
+  if (!/^(\d{8}|\d{12}|\d{13}|\d{14})$/.test(code)) return false;
+  const digits = code.split('').map(Number);
+  const check = digits.pop();
+  const sum = digits
+    .reverse()
+    .reduce((acc, d, i) => acc + d * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+}
+
+/* 同一商品可能以 UPC-A（12 碼）或補 0 的 EAN-13 建檔，兩種都查 */
+function barcodeCandidates(code) {
+  const set = new Set([code]);
+  if (/^\d{12}$/.test(code)) set.add(`0${code}`);
+  if (/^0\d{12}$/.test(code)) set.add(code.slice(1));
+  if (/[a-z]/i.test(code)) {
+    set.add(code.toUpperCase());
+    set.add(code.toLowerCase());
+  }
+  return [...set];
+}
+
+async function resolveBarcode(rawBarcode) {
+  const code = normalizeBarcode(rawBarcode);
+  if (!code) return [];
+
+  const { data, error } = await supabase
+    .from('product_barcodes')
+    .select('barcode, product_sku, pack_type')
+    .in('barcode', barcodeCandidates(code))
+    .limit(20);
+  if (error) {
+    console.warn('[條碼] product_barcodes error:', error.message);
+    return [];
+  }
+
+  const seen = new Set();
+  const out = [];
+  for (const r of data || []) {
+    const sku = skuKey(r.product_sku);
+    if (!sku || seen.has(sku)) continue;
+    seen.add(sku);
+    out.push({ sku, packType: r.pack_type === 'box' ? 'box' : 'piece' });
+  }
   return out;
 }
 
+/* 在當日庫存內找「完全相同」的 SKU（不做模糊） */
+async function findStockProductBySku(sku, branch) {
+  const s = skuKey(sku);
+  if (!s) return null;
+  const rows = await getTodayStockRows(branch);
+  const r = rows.find((x) => skuKey(x.product_sku || x['貨品編號']) === s);
+  if (!r) return null;
+  return {
+    sku: s,
+    name: String(r['貨品名稱'] || s).trim(),
+    unitsPerBox: pickNum(r['箱入數'] ?? 1, 1),
+    price: pickNum(r['單價'] ?? 0, 0),
+  };
+}
+
 /* ======== Quick Replies ======== */
-function buildQuickReplyForProducts(items) {
-  const actions = items.slice(0, 12).map((p) => ({
+function buildQuickReplyForProducts(items, paging = null) {
+  const actions = items.slice(0, paging ? SEARCH_PAGE_SIZE : 12).map((p) => ({
     type: 'action',
     action: { type: 'message', label: `${p.name}`.slice(0, 20), text: `編號 ${p.sku}` },
   }));
+
+  // 分頁：postback 帶 mode/keyword（或 kid）/offset，點了重新搜尋該頁
+  if (paging) {
+    const { mode, keywordRef, offset, total } = paging;
+    const nav = (label, o) => ({
+      type: 'action',
+      action: {
+        type: 'postback',
+        label,
+        data: new URLSearchParams({ a: 'more', m: mode, ...keywordRef, o: String(o) }).toString(),
+        displayText: label,
+      },
+    });
+    if (offset > 0) actions.push(nav('◀ 上一頁', Math.max(0, offset - SEARCH_PAGE_SIZE)));
+    if (offset + SEARCH_PAGE_SIZE < total) actions.push(nav('下一頁 ▶', offset + SEARCH_PAGE_SIZE));
+  }
   return { items: actions };
 }
 
+/* 翻頁用的關鍵字參數：編碼後放得進 postback 就直接帶 k，太長（中文一字編碼成 9 字元）改存 state store 只帶短 id */
+async function pagingKeywordRef(keyword) {
+  const k = String(keyword || '');
+  if (new URLSearchParams({ a: 'more', m: 'name', k, o: '99999' }).toString().length <= POSTBACK_DATA_MAX) return { k };
+  const kid = randomUUID().slice(0, 8);
+  await stateStore.set('search_kw', kid, k, CONV_STATE_TTL_MS);
+  return { kid };
+}
+
 function buildQuickReplyForWarehousesForQuery(warehouseList) {
   const items = warehouseList.slice(0, 12).map((w) => ({
     type: 'action',
@@ -579,30 +1314,212 @@ function buildQuickReplyForWarehousesForQuery(warehouseList) {
   return { items };
 }
 
-function buildQuickReplyForWarehouses(baseText, warehouseList, wantBox, wantPiece) {
+/* 掃條碼：依 pack_type 預帶「出 1箱」（箱條碼）或「出 1件」（單件條碼），只列該單位有庫存的倉；都沒有回 null */
+function buildQuickReplyForPackDefault(packType, warehouseList) {
+  if (!packType) return null;
+  const isBox = packType === 'box';
+  const list = warehouseList.filter((w) => (isBox ? w.box : w.piece) >= 1);
+  if (!list.length) return null;
+  // 單一倉已記住 last_wh，直接「出 1箱」；多倉帶 @倉
+  if (warehouseList.length === 1) {
+    const text = isBox ? '出 1箱' : '出 1件';
+    return { items: [{ type: 'action', action: { type: 'message', label: text, text } }] };
+  }
+  return buildQuickReplyForWarehouses('出', list, isBox ? 1 : 0, isBox ? 0 : 1);
+}
+
+function buildQuickReplyForWarehouses(baseText, warehouseList, wantBox, wantPiece, suffix = '') {
   const items = warehouseList.slice(0, 12).map((w) => {
     const label = `${w.warehouseLabel}（${w.box}箱/${w.piece}散）`.slice(0, 20);
-    const text = `${baseText} ${wantBox > 0 ? `${wantBox}箱 ` : ''}${wantPiece > 0 ? `${wantPiece}件 ` : ''}@${w.warehouseLabel}`
+    const text = `${baseText} ${wantBox > 0 ? `${wantBox}箱 ` : ''}${wantPiece > 0 ? `${wantPiece}件 ` : ''}@${w.warehouseLabel}${suffix}`
       .trim();
     return { type: 'action', action: { type: 'message', label, text } };
   });
   return { items };
 }
 
-/* ======== Command parser ======== */
-function parseCommand(text) {
-  const t = (text || '').trim();
-  if (!t) return null;
+/* ======== Flex Message（商品卡；altText 即純文字版） ======== */
+function flexKv(key, value, bold = false) {
+  return {
+    type: 'box',
+    layout: 'baseline',
+    spacing: 'sm',
+    contents: [
+      { type: 'text', text: key, size: 'sm', color: '#888888', flex: 2 },
+      { type: 'text', text: String(value ?? '-') || '-', size: 'sm', wrap: true, flex: 5, weight: bold ? 'bold' : 'regular' },
+    ],
+  };
+}
 
-  if (/^(db|DB|版本)$/.test(t)) return { type: 'db' };
+function flexPostbackButton(label, data, displayText, style = 'secondary') {
+  return {
+    type: 'button',
+    style,
+    height: 'sm',
+    action: { type: 'postback', label: label.slice(0, 20), data, displayText },
+  };
+}
 
-  if (!/^(查|查詢|條碼|編號|#|入庫|入|出庫|出|倉)/.test(t)) return null;
+/* 單一倉的商品卡：名稱/編號/箱入數/單價/倉別/庫存 + 出 1箱、出 1件（、選此倉） */
+function buildStockBubble({ product, wh, title = null, extraRows = [], withWhSelect = false }) {
+  const sku = skuKey(product.sku);
+  const base = `sku=${encodeURIComponent(sku)}&wh=${encodeURIComponent(wh.warehouseCode)}`;
+  const buttons = [];
+  if (wh.box > 0) buttons.push(flexPostbackButton('出 1箱', `a=out&${base}&box=1`, `出 1箱 @${wh.warehouseLabel}`, 'primary'));
+  if (wh.piece > 0) buttons.push(flexPostbackButton('出 1件', `a=out&${base}&piece=1`, `出 1件 @${wh.warehouseLabel}`, 'primary'));
+  if (withWhSelect) buttons.push(flexPostbackButton(`選擇 ${wh.warehouseLabel}`, `a=wh_select&${base}`, `倉 ${wh.warehouseLabel}`));
+
+  const bubble = {
+    type: 'bubble',
+    size: 'kilo',
+    body: {
+      type: 'box',
+      layout: 'vertical',
+      spacing: 'sm',
+      contents: [
+        ...(title ? [{ type: 'text', text: title, weight: 'bold', color: '#1DB446', size: 'sm' }] : []),
+        { type: 'text', text: product.name || skuDisplay(sku), weight: 'bold', size: 'md', wrap: true },
+        flexKv('編號', skuDisplay(sku)),
+        flexKv('箱入數', product.unitsPerBox),
+        flexKv('單價', product.price),
+        { type: 'separator', margin: 'md' },
+        flexKv('倉別', wh.warehouseLabel),
+        ...extraRows.map(([k, v]) => flexKv(k, v)),
+        flexKv('庫存', `${wh.box}箱 ${wh.piece}散`, true),
+      ],
+    },
+  };
+  if (buttons.length) bubble.footer = { type: 'box', layout: 'vertical', spacing: 'sm', contents: buttons };
+  return bubble;
+}
 
-  const mWhSel = t.match(/^倉(?:庫)?\s*(.+)$/);
-  if (mWhSel) return { type: 'wh_select', warehouse: mWhSel[1].trim() };
+/* 多倉 → carousel（每倉一張，最多 12 張） */
+function buildStockFlex({ altText, product, warehouses, title = null, extraRows = [] }) {
+  const multi = warehouses.length >= 2;
+  const bubbles = warehouses
+    .slice(0, 12)
+    .map((wh) => buildStockBubble({ product, wh, title, extraRows, withWhSelect: multi }));
+  return {
+    type: 'flex',
+    altText: String(altText || product.name || '商品資訊').slice(0, 400),
+    contents: multi ? { type: 'carousel', contents: bubbles } : bubbles[0],
+  };
+}
 
-  const mBarcode = t.match(/^條碼[:：]?\s*(.+)$/);
-  if (mBarcode) return { type: 'barcode', barcode: mBarcode[1].trim() };
+/* Flex 失敗（或設定為 text）→ 改送純文字 */
+async function replyFlexOrText(event, flexMessage, textMessage) {
+  if (REPLY_FORMAT !== 'text') {
+    const ok = await replyOrPush(event, flexMessage);
+    if (ok) return true;
+    console.warn('[FLEX] 送出失敗，改用純文字');
+  }
+  return replyOrPush(event, textMessage);
+}
+
+/* ======== Command parser ======== */
+/* LINE 提及依 mentionees 的 index/length 整段移除（顯示名稱可能含空白，不能用 @\S+ 切） */
+function stripMentions(text, mentionees = []) {
+  let t = String(text || '');
+  const spans = (mentionees || [])
+    .filter((m) => Number.isInteger(m?.index) && Number.isInteger(m?.length))
+    .sort((a, b) => b.index - a.index);
+  for (const m of spans) t = `${t.slice(0, m.index)} ${t.slice(m.index + m.length)}`;
+  return t;
+}
+
+function parseCommand(text, mentionees = []) {
+  const t = stripMentions(text, mentionees).trim();
+  if (!t) return null;
+
+  if (/^(db|DB|版本)$/.test(t)) return { type: 'db' };
+  if (/^撤銷(?:出庫)?$/.test(t)) return { type: 'undo' };
+
+  // 帳號綁定（一次性驗證碼）
+  const mLink = t.match(/^綁定\s*(\d{6})$/);
+  if (mLink) return { type: 'link', action: 'redeem', code: mLink[1] };
+  if (/^解除綁定$/.test(t)) return { type: 'link', action: 'unlink' };
+  if (/^綁定狀態$/.test(t)) return { type: 'link', action: 'status' };
+
+  // 管理指令（對象用 @提及 或直接貼 LINE userId）
+  const mAdmin = t.match(/^(綁定分店|設定分店|設定角色|解除黑名單|黑名單|成員|同步狀態|同步重送)(?:\s+(.*))?$/s);
+  if (mAdmin) {
+    const action = {
+      綁定分店: 'bind_group',
+      設定分店: 'set_branch',
+      設定角色: 'set_role',
+      黑名單: 'blacklist',
+      解除黑名單: 'unblacklist',
+      成員: 'members',
+      同步狀態: 'outbox_list',
+      同步重送: 'outbox_replay',
+    }[mAdmin[1]];
+    const rest = (mAdmin[2] || '').trim();
+    const userIds = rest.match(/U[0-9a-f]{32}/g) || [];
+    const value = rest.replace(/U[0-9a-f]{32}/g, '').trim().split(/\s+/)[0] || null;
+    return { type: 'admin', action, value, userIds };
+  }
+
+  // 對帳 [日期] [重送]
+  const mRecon = t.match(/^對帳(?:\s*(\d{4}[-/]\d{1,2}[-/]\d{1,2}))?(?:\s*(重送))?$/);
+  if (mRecon) {
+    const date = mRecon[1]
+      ? mRecon[1]
+          .split(/[-/]/)
+          .map((x, i) => (i === 0 ? x : x.padStart(2, '0')))
+          .join('-')
+      : null;
+    return { type: 'reconcile', date, resend: !!mRecon[2] };
+  }
+
+  if (!/^(查|查詢|條碼|編號|#|入庫|入|出庫|出|倉|調|今日出庫|報表|歷史|盤|切換)/.test(t)) return null;
+
+  // 盤點 @總倉 / 盤點 狀態|確認|取消 [@倉]
+  const mTakeStart = t.match(/^盤點\s*(?:開始)?\s*@\s*(.+)$/);
+  if (mTakeStart) return { type: 'stocktake', action: 'start', warehouse: mTakeStart[1].trim() };
+  const mTakeCmd = t.match(/^盤點\s*(狀態|差異|確認|取消)\s*(?:@\s*(.+))?$/);
+  if (mTakeCmd) {
+    const action = { 狀態: 'status', 差異: 'status', 確認: 'approve', 取消: 'cancel' }[mTakeCmd[1]];
+    return { type: 'stocktake', action, warehouse: (mTakeCmd[2] || '').trim() || null };
+  }
+
+  // 盤 #A001 3箱 2件 [@倉]（省略編號 = 最後選定商品；0 也是有效實盤數）
+  const mTakeCount = t.match(
+    /^盤\s*(?:(?:#|編號[:：]?)\s*(\S+)\s+)?(?:(\d+)\s*箱)?\s*(?:(\d+)\s*(?:個|散|件))?\s*(?:(\d+))?\s*(?:@\s*(.+))?$/,
+  );
+  if (mTakeCount && (mTakeCount[2] || mTakeCount[3] || mTakeCount[4])) {
+    return {
+      type: 'stocktake',
+      action: 'count',
+      sku: mTakeCount[1] ? skuKey(mTakeCount[1]) : null,
+      box: mTakeCount[2] ? parseInt(mTakeCount[2], 10) : 0,
+      piece: mTakeCount[3] ? parseInt(mTakeCount[3], 10) : mTakeCount[4] ? parseInt(mTakeCount[4], 10) : 0,
+      warehouse: (mTakeCount[5] || '').trim() || null,
+    };
+  }
+
+  // 歷史 / 歷史 #A001
+  const mHistory = t.match(/^歷史\s*(?:(?:#|編號[:：]?)\s*)?(\S+)?$/);
+  if (mHistory) return { type: 'history', sku: mHistory[1] ? skuKey(mHistory[1]) : null };
+
+  // 今日出庫 / 今日出庫 @總倉 / 報表 2026-10-18 / 出庫 2026-10-18 @總倉
+  const mReport =
+    t.match(/^(?:今日出庫|報表)\s*(\d{4}[-/]\d{1,2}[-/]\d{1,2})?\s*(?:@\s*(.+))?$/) ||
+    t.match(/^出庫\s*(\d{4}[-/]\d{1,2}[-/]\d{1,2})\s*(?:@\s*(.+))?$/);
+  if (mReport) {
+    const date = mReport[1]
+      ? mReport[1]
+          .split(/[-/]/)
+          .map((x, i) => (i === 0 ? x : x.padStart(2, '0')))
+          .join('-')
+      : null;
+    return { type: 'out_report', date, warehouse: (mReport[2] || '').trim() || null };
+  }
+
+  const mWhSel = t.match(/^倉(?:庫)?\s*(.+)$/);
+  if (mWhSel) return { type: 'wh_select', warehouse: mWhSel[1].trim() };
+
+  const mBarcode = t.match(/^條碼[:：]?\s*(.+)$/);
+  if (mBarcode) return { type: 'barcode', barcode: mBarcode[1].trim() };
 
   const mSkuHash = t.match(/^#\s*(.+)$/);
   if (mSkuHash) return { type: 'sku', sku: mSkuHash[1].trim() };
@@ -610,8 +1527,34 @@ function parseCommand(text) {
   const mSku = t.match(/^編號[:：]?\s*(.+)$/);
   if (mSku) return { type: 'sku', sku: mSku[1].trim() };
 
+  const mQueryAll = t.match(/^查全\s+(.+)$/);
+  if (mQueryAll) return { type: 'query_all', keyword: mQueryAll[1].trim() };
+
+  // 切換 分店名（1:1）
+  const mSwitch = t.match(/^切換(?:分店)?\s*(.*)$/);
+  if (mSwitch) return { type: 'switch_branch', branch: mSwitch[1].trim() || null };
+
   const mQuery = t.match(/^查(?:詢)?\s*(.+)$/);
-  if (mQuery) return { type: 'query', keyword: mQuery[1].trim() };
+  if (mQuery) {
+    // 查 X 全分店 → 跨使用者所有分店比較
+    const mCross = mQuery[1].match(/^(.+?)\s*全分店$/);
+    if (mCross) return { type: 'query_cross', keyword: mCross[1].trim() };
+    return { type: 'query', keyword: mQuery[1].trim() };
+  }
+
+  // 調 2箱 @總倉 > 代夾物（來源倉可省略）
+  const mTransfer = t.match(
+    /^(?:調撥|調)\s*(?:(\d+)\s*箱)?\s*(?:(\d+)\s*(?:個|散|件))?\s*(?:(\d+))?\s*(?:@\s*([^>＞]+?))?\s*[>＞]\s*@?\s*(.+?)\s*$/,
+  );
+  if (mTransfer) {
+    return {
+      type: 'transfer',
+      box: mTransfer[1] ? parseInt(mTransfer[1], 10) : 0,
+      piece: mTransfer[2] ? parseInt(mTransfer[2], 10) : mTransfer[3] ? parseInt(mTransfer[3], 10) : 0,
+      from: (mTransfer[4] || '').trim() || null,
+      to: mTransfer[5].trim(),
+    };
+  }
 
   const mChange = t.match(
     /^(入庫|入|出庫|出)\s*(?:(\d+)\s*箱)?\s*(?:(\d+)\s*(?:個|散|件))?\s*(?:(\d+))?(?:\s*(?:@|（?\(?倉庫[:：=]\s*)([^)）]+)\)?)?\s*$/,
@@ -642,6 +1585,33 @@ function parseCommand(text) {
   return null;
 }
 
+/* ======== 批次出庫（一則訊息多行：#A001 出 2箱 / #B017 出 5件 @代夾物） ======== */
+const BATCH_OUT_MAX_LINES = 20;
+
+/* 單行「#A001 出 2箱」也走批次（一筆的批次）；單行不合格式則不算，交給一般指令（例：#A001 查編號） */
+function parseBatchOutLines(text) {
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .filter(Boolean);
+  if (!lines.length) return null;
+
+  const items = [];
+  const invalid = [];
+  lines.forEach((raw, i) => {
+    const m = raw.match(/^(?:#|編號[:：]?)\s*(\S+)\s+((?:出庫|出).*)$/);
+    const cmd = m ? parseCommand(m[2]) : null;
+    if (cmd?.type === 'change' && cmd.action === 'out' && (cmd.box > 0 || cmd.piece > 0)) {
+      items.push({ lineNo: i + 1, raw, sku: skuKey(m[1]), box: cmd.box, piece: cmd.piece, warehouse: cmd.warehouse });
+    } else {
+      invalid.push({ lineNo: i + 1, raw });
+    }
+  });
+
+  if (!items.length) return null;
+  return { items, invalid };
+}
+
 /* ======== ✅ Postback parser ======== */
 function parsePostback(data) {
   const s = String(data || '').trim();
@@ -651,13 +1621,46 @@ function parsePostback(data) {
   if (a === 'wh_select') {
     return { type: 'wh_select_postback', sku: skuKey(params.get('sku')), wh: params.get('wh') };
   }
+  if (a === 'more') {
+    return {
+      type: 'more_postback',
+      mode: ['sku', 'all'].includes(params.get('m')) ? params.get('m') : 'name',
+      keyword: String(params.get('k') || ''),
+      keywordId: params.get('kid') || null,
+      offset: Math.max(0, pickNum(params.get('o'), 0)),
+    };
+  }
+  if (a === 'hist') {
+    return { type: 'hist_postback', sku: skuKey(params.get('sku')), offset: Math.max(0, pickNum(params.get('o'), 0)) };
+  }
+  if (a === 'out') {
+    return {
+      type: 'out_postback',
+      sku: skuKey(params.get('sku')),
+      wh: params.get('wh'),
+      box: pickNum(params.get('box'), 0),
+      piece: pickNum(params.get('piece'), 0),
+    };
+  }
+  if (a === 'out_confirm' || a === 'out_cancel') {
+    return { type: `${a}_postback`, id: String(params.get('id') || '') };
+  }
   return null;
 }
 
 /* ======== 單一交易出庫（RPC：fifo_out_and_log） ======== */
-async function callOutOnceTx({ branch, sku, outBox, outPiece, warehouseCode, lineUserId }) {
-  const authUuid = await resolveAuthUuidFromLineUserId(lineUserId);
-  if (!authUuid) throw new Error(`找不到對應的使用者，請先在後台綁定帳號。`);
+async function callOutOnceTx({
+  branch,
+  sku,
+  outBox,
+  outPiece,
+  warehouseCode,
+  lineUserId,
+  authUuid = null, // REST API 已知 auth uuid 時直接帶入
+  source = 'LINE',
+}) {
+  authUuid = authUuid || (await resolveAuthUuidFromLineUserId(lineUserId));
+  if (!authUuid) throw new Error(NEED_LINK_MSG);
 
   const args = {
     p_group: String(branch || '').trim().toLowerCase(),
@@ -666,7 +1669,7 @@ async function callOutOnceTx({ branch, sku, outBox, outPiece, warehouseCode, lin
     p_out_box: String(outBox ?? ''),
     p_out_piece: String(outPiece ?? ''),
     p_user_id: authUuid,
-    p_source: 'LINE',
+    p_source: source,
     p_at: new Date().toISOString(),
   };
 
@@ -685,20 +1688,193 @@ async function callOutOnceTx({ branch, sku, outBox, outPiece, warehouseCode, lin
   };
 }
 
-/* ======== GAS Webhook (optional, fire-and-forget) ======== */
+/* ======== 單一交易入庫（RPC：fifo_in_and_log） ======== */
+async function callInOnceTx({ branch, sku, inBox, inPiece, warehouseCode, lineUserId }) {
+  const authUuid = await resolveAuthUuidFromLineUserId(lineUserId);
+  if (!authUuid) throw new Error(NEED_LINK_MSG);
+
+  const args = {
+    p_group: String(branch || '').trim().toLowerCase(),
+    p_sku: skuKey(sku),
+    p_warehouse_name: String(warehouseCode || 'unspecified').trim(),
+    p_in_box: String(inBox ?? ''),
+    p_in_piece: String(inPiece ?? ''),
+    p_user_id: authUuid,
+    p_source: 'LINE',
+    p_at: new Date().toISOString(),
+  };
+
+  console.log(`[DB] host=${SUPA_HOST} ver=${BOT_VER}`);
+  const { data, error } = await supabase.rpc('fifo_in_and_log', args);
+  if (error) throw error;
+
+  const row = Array.isArray(data) ? data[0] : data;
+  return {
+    productName: row?.product_name || sku,
+    unitsPerBox: Number(row?.units_per_box || 1) || 1,
+    unitPricePiece: Number(row?.unit_price_piece || 0),
+    inBox: Number(row?.in_box || inBox || 0),
+    inPiece: Number(row?.in_piece || inPiece || 0),
+    warehouseCode: String(warehouseCode || 'unspecified'),
+  };
+}
+
+/* ======== 單一交易調撥（RPC：transfer_and_log；出/入兩腳同一交易） ======== */
+async function callTransferOnceTx({ branch, sku, box, piece, fromWarehouseCode, toWarehouseCode, lineUserId }) {
+  const authUuid = await resolveAuthUuidFromLineUserId(lineUserId);
+  if (!authUuid) throw new Error(NEED_LINK_MSG);
+
+  const args = {
+    p_group: String(branch || '').trim().toLowerCase(),
+    p_sku: skuKey(sku),
+    p_from_warehouse: String(fromWarehouseCode || 'unspecified').trim(),
+    p_to_warehouse: String(toWarehouseCode || 'unspecified').trim(),
+    p_box: String(box ?? ''),
+    p_piece: String(piece ?? ''),
+    p_user_id: authUuid,
+    p_source: 'LINE',
+    p_at: new Date().toISOString(),
+  };
+
+  console.log(`[DB] host=${SUPA_HOST} ver=${BOT_VER}`);
+  const { data, error } = await supabase.rpc('transfer_and_log', args);
+  if (error) throw error;
+
+  const row = Array.isArray(data) ? data[0] : data;
+  return {
+    productName: row?.product_name || sku,
+    unitsPerBox: Number(row?.units_per_box || 1) || 1,
+    unitPricePiece: Number(row?.unit_price_piece || 0),
+    box: Number(row?.box || box || 0),
+    piece: Number(row?.piece || piece || 0),
+  };
+}
+
+/* ======== 撤銷本人最後一筆出庫（RPC：undo_last_out；還原 FIFO 批次 + 寫回沖紀錄） ======== */
+/* dryRun：只找出會被撤銷的那筆（不動庫存）；logId：只撤銷這一筆（先 dryRun 檢查權限，再撤同一筆） */
+async function callUndoLastOutTx({ branch, lineUserId, dryRun = false, logId = null }) {
+  const authUuid = await resolveAuthUuidFromLineUserId(lineUserId);
+  if (!authUuid) throw new Error(NEED_LINK_MSG);
+
+  // 視窗：營業日起點與「現在 - N 分鐘」取較晚者
+  const bizStartMs = getBizDayStart0500TPE().getTime();
+  const windowMin = pickNum(UNDO_WINDOW_MINUTES, 0);
+  const sinceMs = windowMin > 0 ? Math.max(bizStartMs, Date.now() - windowMin * 60 * 1000) : bizStartMs;
+
+  const args = {
+    p_group: String(branch || '').trim().toLowerCase(),
+    p_user_id: authUuid,
+    p_since: new Date(sinceMs).toISOString(),
+    p_source: 'LINE',
+    p_at: new Date().toISOString(),
+    p_dry_run: dryRun,
+    p_log_id: logId,
+  };
+
+  console.log(`[DB] host=${SUPA_HOST} ver=${BOT_VER}`);
+  const { data, error } = await supabase.rpc('undo_last_out', args);
+  if (error) throw error;
+
+  const row = Array.isArray(data) ? data[0] : data;
+  if (!row?.sku) return null;
+  return {
+    logId: row.log_id ?? null,
+    sku: skuKey(row.sku),
+    productName: row.product_name || row.sku,
+    warehouseCode: String(row.warehouse_code || 'unspecified'),
+    outBox: Number(row.out_box || 0),
+    outPiece: Number(row.out_piece || 0),
+    unitPricePiece: Number(row.unit_price_piece || 0),
+  };
+}
+
+/* ======== 大量出庫確認門檻（app_settings.out_confirm_rules；SKU > 分店 > 預設） ======== */
+// out_confirm_rules 範例：
+// { "default": { "max_pieces": 60, "max_amount": 5000 },
+//   "branches": { "taipei": { "max_pieces": 120 } },
+//   "skus": { "a001": { "max_pieces": 24 } } }
+let OUT_CONFIRM_RULES_CACHE = null;
+let OUT_CONFIRM_RULES_LAST_LOAD_MS = 0;
+
+async function loadOutConfirmRules() {
+  const now = Date.now();
+  if (OUT_CONFIRM_RULES_CACHE && now - OUT_CONFIRM_RULES_LAST_LOAD_MS < 5 * 60 * 1000) return OUT_CONFIRM_RULES_CACHE;
+
+  let rules = {};
+  try {
+    const { data, error } = await supabase.rpc('get_app_settings', { keys: ['out_confirm_rules'] });
+    if (error) throw error;
+    const row = Array.isArray(data) ? data.find((r) => r.key === 'out_confirm_rules') : null;
+    if (row?.value) rules = typeof row.value === 'string' ? JSON.parse(row.value) : row.value;
+  } catch (e) {
+    console.warn('⚠️ 載入出庫確認門檻失敗（RPC get_app_settings）：', e?.message || e);
+  }
+  OUT_CONFIRM_RULES_CACHE = rules || {};
+  OUT_CONFIRM_RULES_LAST_LOAD_MS = now;
+  return OUT_CONFIRM_RULES_CACHE;
+}
+
+async function getOutConfirmThreshold(branch, sku) {
+  const rules = await loadOutConfirmRules();
+  const group = String(branch || '').trim().toLowerCase();
+  const base = {
+    max_pieces: pickNum(OUT_CONFIRM_MAX_PIECES, 0),
+    max_amount: pickNum(OUT_CONFIRM_MAX_AMOUNT, 0),
+  };
+  return {
+    ...base,
+    ...(rules.default || {}),
+    ...(rules.branches?.[group] || {}),
+    ...(rules.skus?.[skuKey(sku)] || {}),
+  };
+}
+
+/* 回傳需要確認的原因（空陣列 = 不需確認） */
+async function getOutConfirmReasons({ branch, sku, outBox, outPiece, snap }) {
+  const th = await getOutConfirmThreshold(branch, sku);
+  const pieces = outBox * (snap.unitsPerBox || 1) + outPiece;
+  const amount = pieces * (snap.unitPricePiece || 0);
+  const reasons = [];
+  if (pickNum(th.max_pieces, 0) > 0 && pieces > pickNum(th.max_pieces, 0)) reasons.push(`數量 ${pieces} 件`);
+  if (pickNum(th.max_amount, 0) > 0 && amount > pickNum(th.max_amount, 0)) reasons.push(`金額 ${amount} 元`);
+  return reasons;
+}
+
+/* ======== 盤點過帳（RPC：post_stocktake_adjustments；多品項單一交易） ======== */
+async function callStocktakePostTx({ branch, warehouseCode, items, lineUserId }) {
+  const authUuid = await resolveAuthUuidFromLineUserId(lineUserId);
+  if (!authUuid) throw new Error(NEED_LINK_MSG);
+
+  const args = {
+    p_group: String(branch || '').trim().toLowerCase(),
+    p_warehouse_code: String(warehouseCode || 'unspecified').trim(),
+    p_items: items.map((x) => ({ sku: skuKey(x.sku), counted_box: x.countedBox, counted_piece: x.countedPiece })),
+    p_user_id: authUuid,
+    p_source: 'LINE',
+    p_at: new Date().toISOString(),
+  };
+
+  console.log(`[DB] host=${SUPA_HOST} ver=${BOT_VER}`);
+  const { error } = await supabase.rpc('post_stocktake_adjustments', args);
+  if (error) throw error;
+}
+
+/* ======== GAS Webhook (optional, via outbox) ======== */
 let GAS_URL_CACHE = (ENV_GAS_URL || '').trim();
 let GAS_SECRET_CACHE = (ENV_GAS_SECRET || '').trim();
+let GAS_SECRET2_CACHE = ''; // 輪替期間第二把（舊或新），hmac 模式兩把都簽
+let GAS_AUTH_MODE_CACHE = String(ENV_GAS_AUTH_MODE || 'query').trim().toLowerCase();
 let GAS_LOADED_ONCE = false;
 let GAS_LAST_LOAD_MS = 0;
 
 async function loadGasConfigFromDBIfNeeded(force = false) {
   const now = Date.now();
-  const hasCache = GAS_URL_CACHE && GAS_SECRET_CACHE;
+  const hasCache = GAS_URL_CACHE && (GAS_SECRET_CACHE || GAS_SECRET2_CACHE);
   if (!force && hasCache && GAS_LOADED_ONCE && now - GAS_LAST_LOAD_MS < 5 * 60 * 1000) return;
 
   try {
     const { data, error } = await supabase.rpc('get_app_settings', {
-      keys: ['gas_webhook_url', 'gas_webhook_secret'],
+      keys: ['gas_webhook_url', 'gas_webhook_secret', 'gas_webhook_secret_secondary', 'gas_auth_mode'],
     });
     if (error) throw error;
     if (Array.isArray(data)) {
@@ -707,11 +1883,18 @@ async function loadGasConfigFromDBIfNeeded(force = false) {
         const v = String(row.value || '').trim();
         if (k === 'gas_webhook_url' && v) GAS_URL_CACHE = v;
         if (k === 'gas_webhook_secret' && v) GAS_SECRET_CACHE = v;
+        // 第二把可清空（輪替結束）
+        if (k === 'gas_webhook_secret_secondary') GAS_SECRET2_CACHE = v;
+        if (k === 'gas_auth_mode' && v) GAS_AUTH_MODE_CACHE = v.toLowerCase();
       }
     }
     GAS_LOADED_ONCE = true;
     GAS_LAST_LOAD_MS = now;
-    console.log('[GAS CONFIG] url =', GAS_URL_CACHE ? GAS_URL_CACHE.slice(0, 80) : '(empty)');
+    console.log(
+      '[GAS CONFIG] url =',
+      GAS_URL_CACHE ? GAS_URL_CACHE.slice(0, 80) : '(empty)',
+      `mode=${GAS_AUTH_MODE_CACHE} secrets=${[GAS_SECRET_CACHE, GAS_SECRET2_CACHE].filter(Boolean).length}`,
+    );
   } catch (e) {
     GAS_LOADED_ONCE = true;
     GAS_LAST_LOAD_MS = now;
@@ -720,421 +1903,3039 @@ async function loadGasConfigFromDBIfNeeded(force = false) {
 }
 
 async function getGasConfig() {
-  if (!GAS_LOADED_ONCE || !GAS_URL_CACHE || !GAS_SECRET_CACHE) await loadGasConfigFromDBIfNeeded(true);
-  return { url: GAS_URL_CACHE, secret: GAS_SECRET_CACHE };
+  // 有快取時每 5 分鐘重讀一次（密鑰輪替 / 切換模式不用重啟）
+  await loadGasConfigFromDBIfNeeded(!GAS_LOADED_ONCE || !GAS_URL_CACHE || !(GAS_SECRET_CACHE || GAS_SECRET2_CACHE));
+  const secrets = [GAS_SECRET_CACHE, GAS_SECRET2_CACHE].filter(Boolean);
+  const mode = GAS_AUTH_MODE_CACHE === 'hmac' ? 'hmac' : 'query';
+  return {
+    url: GAS_URL_CACHE,
+    secret: GAS_SECRET_CACHE,
+    secrets,
+    mode,
+    // hmac 模式只要有任一把密鑰即可（輪替中只設了 secondary 也能送）；query 模式需要主密鑰
+    ready: Boolean(GAS_URL_CACHE) && (mode === 'hmac' ? secrets.length > 0 : Boolean(GAS_SECRET_CACHE)),
+  };
 }
 
-async function postInventoryToGAS(payload) {
-  const { url, secret } = await getGasConfig();
-  if (!url || !secret) {
-    console.warn('⚠️ GAS 未設定（略過推送）');
-    return;
-  }
+/*
+ * hmac 模式簽章：v1 = hex(HMAC-SHA256(secret, `${timestamp}.${nonce}.${body}`))
+ *  - headers：X-Timestamp（unix 秒）/ X-Nonce / X-Signature（"v1=<hex>,v1=<hex>"，每把有效密鑰各一個）
+ *  - Apps Script 讀不到 request header，同樣的值也放在 query：?ts=&nonce=&sig=（不含密鑰本身）
+ *
+ * GAS 端驗證（doPost）大致如下：
+ *   var p = e.parameter, body = e.postData.contents;
+ *   if (Math.abs(Date.now() / 1000 - Number(p.ts)) > 300) return deny('stale');
+ *   var cache = CacheService.getScriptCache();
+ *   if (cache.get('nonce:' + p.nonce)) return deny('replay');
+ *   var ok = SECRETS.some(function (s) {   // 目前有效的 1~2 把
+ *     var mac = Utilities.computeHmacSha256Signature(p.ts + '.' + p.nonce + '.' + body, s);
+ *     var hex = mac.map(function (b) { return ('0' + (b & 0xff).toString(16)).slice(-2); }).join('');
+ *     return String(p.sig).split(',').indexOf('v1=' + hex) >= 0;
+ *   });
+ *   if (!ok) return deny('bad signature');
+ *   cache.put('nonce:' + p.nonce, '1', 600);
+ *
+ * 輪替：先把新密鑰設成 gas_webhook_secret_secondary（兩把都簽）→ GAS 換成新密鑰 →
+ *       新密鑰搬到 gas_webhook_secret、清空 secondary
+ */
+function signGasBody(body, secrets) {
+  const ts = String(Math.floor(Date.now() / 1000));
+  const nonce = randomUUID();
+  const sig = secrets
+    .map((s) => `v1=${createHmac('sha256', s).update(`${ts}.${nonce}.${body}`).digest('hex')}`)
+    .join(',');
+  return { ts, nonce, sig };
+}
+
+/* 實際送出一筆；逾時 / 非 2xx 一律 throw，由 outbox worker 決定重試 */
+async function deliverToGAS(payload) {
+  const { url, secret, secrets, mode, ready } = await getGasConfig();
+  if (!ready) throw new Error('GAS 未設定');
   const cleanBaseUrl = url.replace(/\?.*$/, '');
-  const callUrl = `${cleanBaseUrl}?secret=${encodeURIComponent(secret)}`;
-  try {
-    console.log('[GAS CALL]', cleanBaseUrl);
-    const res = await fetchWithTimeout(
-      callUrl,
-      {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload),
-      },
-      GAS_TIMEOUT_MS,
-    );
-    if (!res.ok) {
-      const txt = await res.text().catch(() => '');
-      console.warn('[GAS WARN]', res.status, txt);
-    }
-  } catch (e) {
-    console.warn('[GAS ERROR]', e?.message || e);
+  const body = JSON.stringify(payload);
+  const headers = { 'Content-Type': 'application/json' };
+  let callUrl;
+  if (mode === 'hmac') {
+    const { ts, nonce, sig } = signGasBody(body, secrets);
+    Object.assign(headers, { 'X-Timestamp': ts, 'X-Nonce': nonce, 'X-Signature': sig });
+    callUrl = `${cleanBaseUrl}?${new URLSearchParams({ ts, nonce, sig })}`;
+  } else {
+    callUrl = `${cleanBaseUrl}?secret=${encodeURIComponent(secret)}`;
+  }
+  console.log('[GAS CALL]', cleanBaseUrl, mode, payload.idempotency_key || '');
+  const res = await fetchWithTimeout(callUrl, { method: 'POST', headers, body }, GAS_TIMEOUT_MS);
+  if (!res.ok) {
+    const txt = await res.text().catch(() => '');
+    throw new Error(`HTTP ${res.status} ${txt.slice(0, 200)}`);
   }
 }
 
-/* ======== Event logging ======== */
-function logEventSummary(event) {
+/* ======== Inventory sinks（app_settings.inventory_sinks；依分店路由） ======== */
+// inventory_sinks 範例（未設定 = 只送 GAS，與舊行為相同）：
+// { "sinks": {
+//     "gas":   { "type": "gas" },
+//     "erp":   { "type": "http", "url": "https://erp.example.com/hook", "headers": { "X-Api-Key": "..." }, "secret": "..." },
+//     "ops":   { "type": "slack", "url": "https://hooks.slack.com/services/..." },
+//     "dc":    { "type": "discord", "url": "https://discord.com/api/webhooks/..." },
+//     "audit": { "type": "file", "path": "./logs/inventory.ndjson", "format": "ndjson" } },   // format: ndjson | csv
+//   "routes": { "*": ["gas", "audit"], "taipei": ["gas", "audit", "ops"] } }             // 分店（小寫）> "*"
+// file sink 只適用單台部署：多台時每台只寫到自己的磁碟，稽核檔會分散各處，
+// 所以 STATE_STORE=supabase 時不載入 file sink（需要集中稽核請改用 http sink）
+const DEFAULT_SINK_CONFIG = { sinks: { gas: { type: 'gas' } }, routes: { '*': ['gas'] } };
+let SINK_CONFIG_CACHE = null;
+let SINK_CONFIG_LAST_LOAD_MS = 0;
+
+async function loadSinkConfig() {
+  const now = Date.now();
+  if (SINK_CONFIG_CACHE && now - SINK_CONFIG_LAST_LOAD_MS < 5 * 60 * 1000) return SINK_CONFIG_CACHE;
+
+  let cfg = null;
   try {
-    const src = event?.source || {};
-    const msg = event?.message || {};
-    const isGroup = src.type === 'group';
-    const isRoom = src.type === 'room';
-    console.log(
-      `[LINE EVENT] type=${event?.type} msgType=${msg?.type || '-'} source=${src.type || '-'} groupId=${
-        isGroup ? src.groupId : '-'
-      } roomId=${isRoom ? src.roomId : '-'} userId=${src.userId || '-'} text="${msg?.type === 'text' ? msg.text : ''}"`,
-    );
-    if (event?.type === 'postback') {
-      console.log(`[LINE POSTBACK] data=${event?.postback?.data || ''}`);
-    }
+    const { data, error } = await supabase.rpc('get_app_settings', { keys: ['inventory_sinks'] });
+    if (error) throw error;
+    const row = Array.isArray(data) ? data.find((r) => r.key === 'inventory_sinks') : null;
+    if (row?.value) cfg = typeof row.value === 'string' ? JSON.parse(row.value) : row.value;
   } catch (e) {
-    console.error('[LINE EVENT LOG ERROR]', e);
+    console.warn('⚠️ 載入 inventory_sinks 失敗（RPC get_app_settings）：', e?.message || e);
+  }
+  if (cfg?.sinks && MULTI_INSTANCE) {
+    const fileSinks = Object.keys(cfg.sinks).filter((n) => cfg.sinks[n]?.type === 'file');
+    if (fileSinks.length) {
+      console.error(`[SINK] STATE_STORE=supabase（多台）不支援 file sink，已停用：${fileSinks.join(', ')}`);
+      cfg.sinks = Object.fromEntries(Object.entries(cfg.sinks).filter(([n]) => !fileSinks.includes(n)));
+    }
   }
+  SINK_CONFIG_CACHE = cfg?.sinks ? { sinks: cfg.sinks, routes: cfg.routes || { '*': Object.keys(cfg.sinks) } } : DEFAULT_SINK_CONFIG;
+  SINK_CONFIG_LAST_LOAD_MS = now;
+  return SINK_CONFIG_CACHE;
 }
 
-/* ======== Server endpoints ======== */
-app.get('/health', (_req, res) => res.status(200).send('OK'));
-app.get('/', (_req, res) => res.status(200).send('RUNNING'));
-app.get('/webhook', (_req, res) => res.status(200).send('OK'));
-app.get('/line/webhook', (_req, res) => res.status(200).send('OK'));
-app.post('/webhook', line.middleware(lineConfig), lineHandler);
-app.post('/line/webhook', line.middleware(lineConfig), lineHandler);
+/* 此分店要送的 sink 名稱（只留設定裡存在的） */
+async function getSinksForGroup(group) {
+  const { sinks, routes } = await loadSinkConfig();
+  const names = routes[String(group || '').trim().toLowerCase()] ?? routes['*'] ?? [];
+  return names.filter((n) => sinks[n]);
+}
 
-app.use((err, req, res, next) => {
-  if (req.path === '/webhook' || req.path === '/line/webhook') {
-    console.error('[LINE MIDDLEWARE ERROR]', err?.message || err);
-    return res.status(400).end();
+/* 給聊天室型 sink 的一行摘要 */
+function formatInventoryEventText(p) {
+  const head = `[${p.group || ''}] ${p.name || ''}（#${p.sku || ''}）`;
+  if (p.type === 'transfer') return `🔁 調撥 ${head} ${p.box}箱${p.piece}件：${p.from_warehouse} → ${p.to_warehouse}`;
+  if (p.type === 'stocktake') {
+    return `📝 盤點過帳 [${p.group || ''}] ${p.warehouse}：調整 ${p.adjusted_items} 項，差異金額 $${fmtMoney(p.total_diff_amount)}`;
   }
-  return next(err);
-});
-
-/* ======== ✅ Main Handler：先回 200 再處理 ======== */
-async function lineHandler(req, res) {
-  try {
-    const events = req.body?.events || [];
-    res.status(200).send('OK');
-
-    setImmediate(() => {
-      events.forEach(async (ev) => {
-        // 去重
-        gcDedup();
-        const did = getEventDedupId(ev);
-        if (did) {
-          if (EVENT_DEDUP.has(did)) {
-            console.log(`[DEDUP] skip ${did}`);
-            return;
-          }
-          EVENT_DEDUP.set(did, Date.now());
-        }
-
-        logEventSummary(ev);
+  const action = p.action === 'undo' ? '↩️ 撤銷出庫' : p.in_box || p.in_piece ? '📥 入庫' : '📤 出庫';
+  const qty = p.in_box || p.in_piece ? `${p.in_box}箱${p.in_piece}件` : `${Math.abs(p.out_box)}箱${Math.abs(p.out_piece)}件`;
+  return `${action} ${head} ${qty}｜${p.warehouse || ''} 結存 ${p.stock_box}箱${p.stock_piece}散`;
+}
 
-        try {
-          await handleEvent(ev);
-        } catch (err) {
-          console.error('[HANDLE EVENT ERROR]', err);
-          await replyOrPush(ev, {
-            type: 'text',
-            text: `系統忙碌或發生錯誤：${err?.message || '未知錯誤'}`,
-          });
-        }
-      });
-    });
-  } catch (e) {
-    console.error('[WEBHOOK ERROR]', e);
-    try {
-      return res.status(200).send('OK');
-    } catch {}
+const CSV_COLUMNS = [
+  'created_at',
+  'type',
+  'action',
+  'group',
+  'sku',
+  'name',
+  'warehouse_code',
+  'in_box',
+  'in_piece',
+  'out_box',
+  'out_piece',
+  'stock_box',
+  'stock_piece',
+  'unit_price',
+  'idempotency_key',
+];
+const csvCell = (v) => {
+  const t = v == null ? '' : typeof v === 'object' ? JSON.stringify(v) : String(v);
+  return /[",\n]/.test(t) ? `"${t.replace(/"/g, '""')}"` : t;
+};
+
+async function postJson(url, body, headers = {}) {
+  const text = JSON.stringify(body);
+  const res = await fetchWithTimeout(
+    url,
+    { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body: text },
+    GAS_TIMEOUT_MS,
+  );
+  if (!res.ok) {
+    const txt = await res.text().catch(() => '');
+    throw new Error(`HTTP ${res.status} ${txt.slice(0, 200)}`);
   }
 }
 
-/* ======== Event logic ======== */
-async function handleEvent(event) {
-  const source = event.source || {};
-  const isGroup = source.type === 'group';
-  const lineUserId = source.userId || null;
-
-  if (!isGroup && lineUserId) await autoRegisterUser(lineUserId);
+// 每種 sink：deliver(payload, cfg)，失敗一律 throw（由 outbox 重試）
+const SINK_TYPES = {
+  gas: (payload) => deliverToGAS(payload),
+  http: (payload, cfg) => {
+    const headers = { ...(cfg.headers || {}) };
+    if (cfg.secret) {
+      const { ts, nonce, sig } = signGasBody(JSON.stringify(payload), [cfg.secret]);
+      Object.assign(headers, { 'X-Timestamp': ts, 'X-Nonce': nonce, 'X-Signature': sig });
+    }
+    return postJson(cfg.url, payload, headers);
+  },
+  slack: (payload, cfg) => postJson(cfg.url, { text: formatInventoryEventText(payload) }),
+  discord: (payload, cfg) => postJson(cfg.url, { content: formatInventoryEventText(payload).slice(0, 2000) }),
+  file: async (payload, cfg) => {
+    const file = path.resolve(cfg.path || './logs/inventory.ndjson');
+    await mkdir(path.dirname(file), { recursive: true });
+    if ((cfg.format || 'ndjson') !== 'csv') {
+      await appendFile(file, `${JSON.stringify(payload)}\n`, 'utf8');
+      return;
+    }
+    const isNew = await stat(file).then(
+      () => false,
+      () => true,
+    );
+    const line = CSV_COLUMNS.map((c) => csvCell(payload[c])).join(',');
+    await appendFile(file, `${isNew ? `${CSV_COLUMNS.join(',')}\n` : ''}${line}\n`, 'utf8');
+  },
+};
+
+async function deliverToSink(sinkName, payload) {
+  const { sinks } = await loadSinkConfig();
+  const cfg = sinks[sinkName];
+  if (!cfg) throw new Error(`sink 不存在：${sinkName}`);
+  const deliver = SINK_TYPES[cfg.type];
+  if (!deliver) throw new Error(`不支援的 sink 類型：${cfg.type}`);
+  if (cfg.type !== 'gas' && cfg.type !== 'file' && !cfg.url) throw new Error(`sink ${sinkName} 缺少 url`);
+  await deliver(payload, cfg);
+}
 
-  const { branch, role, blocked, needBindMsg } = await resolveBranchAndRole(event);
-  if (blocked) return;
+/*
+ * outbox：gas_outbox（表名沿用）(id, sink, idempotency_key, payload jsonb, status pending|sent|dead,
+ *                    attempts, next_attempt_at, last_error, created_at, sent_at)，unique (sink, idempotency_key)
+ * 同一事件送到每個 sink 的 idempotency_key 相同，下游可依此丟棄重送/多台造成的重複列
+ */
+const OUTBOX_BATCH = 20;
+const OUTBOX_LEASE_MS = 60 * 1000; // 認領後暫時推遲 next_attempt_at，避免多台同時送同一筆
+const OUTBOX_MAX_BACKOFF_MS = 60 * 60 * 1000;
+let OUTBOX_RUNNING = false;
+
+function outboxBackoffMs(attempts) {
+  const base = pickNum(GAS_OUTBOX_BACKOFF_SEC, 30) * 1000;
+  return Math.min(base * 2 ** Math.max(0, attempts - 1), OUTBOX_MAX_BACKOFF_MS);
+}
 
-  if (!branch) {
-    await replyOrPush(event, { type: 'text', text: needBindMsg || '尚未綁定分店' });
+/* 庫存事件 fan-out：依分店路由，每個 sink 寫一筆 outbox 後立即觸發 worker；寫表失敗才退回直接送 */
+async function emitInventoryEvent(payload) {
+  let names = await getSinksForGroup(payload.group);
+  if (names.includes('gas')) {
+    const { ready } = await getGasConfig();
+    if (!ready) {
+      console.warn('⚠️ GAS 未設定（略過推送）');
+      names = names.filter((n) => n !== 'gas');
+    }
+  }
+  if (!names.length) return;
+
+  const key = payload.idempotency_key || randomUUID();
+  const body = { ...payload, idempotency_key: key };
+  const now = new Date().toISOString();
+  const { error } = await supabase.from('gas_outbox').insert(
+    names.map((sink) => ({
+      sink,
+      idempotency_key: key,
+      payload: body,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: now,
+      created_at: now,
+    })),
+  );
+  if (error) {
+    console.warn('[OUTBOX] insert error, deliver directly:', error.message);
+    for (const sink of names) {
+      await deliverToSink(sink, body).catch((e) => console.warn(`[SINK ${sink} ERROR]`, e?.message || e));
+    }
     return;
   }
+  setImmediate(() => processOutbox().catch((e) => console.warn('[OUTBOX] worker error:', e?.message || e)));
+}
 
-  // db 指令
-  if (event.type === 'message' && event.message.type === 'text') {
-    const parsed0 = parseCommand(event.message.text || '');
-    if (parsed0?.type === 'db') {
-      const bizDate = getBizDate0500TPE();
-      const up = ((Date.now() - STARTED_AT) / 1000).toFixed(1);
+/* 取出到期的 pending，逐筆認領 → 送出 → 更新狀態 */
+async function processOutbox() {
+  if (OUTBOX_RUNNING) return;
+  OUTBOX_RUNNING = true;
+  try {
+    const { data, error } = await supabase
+      .from('gas_outbox')
+      .select('id, sink, payload, attempts, next_attempt_at')
+      .eq('status', 'pending')
+      .lte('next_attempt_at', new Date().toISOString())
+      .order('id', { ascending: true })
+      .limit(OUTBOX_BATCH);
+    if (error) throw error;
+
+    const maxAttempts = pickNum(GAS_OUTBOX_MAX_ATTEMPTS, 8);
+    for (const row of data || []) {
+      // 樂觀認領：next_attempt_at 沒被別台動過才算搶到
+      const { data: claimed } = await supabase
+        .from('gas_outbox')
+        .update({ next_attempt_at: new Date(Date.now() + OUTBOX_LEASE_MS).toISOString() })
+        .eq('id', row.id)
+        .eq('status', 'pending')
+        .eq('next_attempt_at', row.next_attempt_at)
+        .select('id');
+      if (!claimed?.length) continue;
+
+      const attempts = (row.attempts || 0) + 1;
+      try {
+        await deliverToSink(row.sink || 'gas', row.payload);
+        await supabase
+          .from('gas_outbox')
+          .update({ status: 'sent', attempts, sent_at: new Date().toISOString(), last_error: null })
+          .eq('id', row.id);
+      } catch (e) {
+        const dead = attempts >= maxAttempts;
+        const msg = String(e?.message || e).slice(0, 500);
+        console.warn(`[OUTBOX] #${row.id} ${row.sink || 'gas'} attempt ${attempts}/${maxAttempts} fail${dead ? ' → dead' : ''}:`, msg);
+        await supabase
+          .from('gas_outbox')
+          .update({
+            status: dead ? 'dead' : 'pending',
+            attempts,
+            last_error: msg,
+            next_attempt_at: new Date(Date.now() + outboxBackoffMs(attempts)).toISOString(),
+          })
+          .eq('id', row.id);
+      }
+    }
+  } finally {
+    OUTBOX_RUNNING = false;
+  }
+}
+
+function startOutboxWorker() {
+  const sec = pickNum(GAS_OUTBOX_POLL_SEC, 15);
+  if (sec <= 0) return;
+  setInterval(() => {
+    processOutbox().catch((e) => console.warn('[OUTBOX] worker error:', e?.message || e));
+  }, sec * 1000);
+  console.log(`[OUTBOX] worker 每 ${sec} 秒檢查一次`);
+}
+
+/* 列出 outbox（預設 dead）；group / sink 有值時只看該分店 / 該 sink */
+async function listOutbox({ status = 'dead', group = null, sink = null, limit = 20 } = {}) {
+  let q = supabase
+    .from('gas_outbox')
+    .select('id, sink, idempotency_key, status, attempts, last_error, created_at, next_attempt_at, payload')
+    .eq('status', status)
+    .order('id', { ascending: false })
+    .limit(limit);
+  if (group) q = q.eq('payload->>group', String(group).trim().toLowerCase());
+  if (sink) q = q.eq('sink', sink);
+  const { data, error } = await q;
+  if (error) throw error;
+  return data || [];
+}
+
+async function countOutbox(group = null) {
+  const out = {};
+  for (const status of ['pending', 'dead']) {
+    let q = supabase.from('gas_outbox').select('id', { count: 'exact', head: true }).eq('status', status);
+    if (group) q = q.eq('payload->>group', String(group).trim().toLowerCase());
+    const { count, error } = await q;
+    if (error) throw error;
+    out[status] = count || 0;
+  }
+  return out;
+}
+
+/* 重送：dead → pending（attempts 歸零，立即到期）；ids 為空 = 全部 dead；回傳重送筆數 */
+async function replayOutbox({ ids = [], group = null, sink = null } = {}) {
+  let q = supabase
+    .from('gas_outbox')
+    .update({ status: 'pending', attempts: 0, next_attempt_at: new Date().toISOString() })
+    .eq('status', 'dead');
+  if (ids.length) q = q.in('id', ids);
+  if (group) q = q.eq('payload->>group', String(group).trim().toLowerCase());
+  if (sink) q = q.eq('sink', sink);
+  const { data, error } = await q.select('id');
+  if (error) throw error;
+  if (data?.length) {
+    setImmediate(() => processOutbox().catch((e) => console.warn('[OUTBOX] worker error:', e?.message || e)));
+  }
+  return (data || []).length;
+}
+
+/* GAS log 列（出庫/入庫共用欄位；金額一律以「件」換算） */
+function buildGasLogPayload({ branch, sku, name, snapAfter, unitPrice, inBox = 0, inPiece = 0, outBox = 0, outPiece = 0 }) {
+  const price = Number(unitPrice || 0);
+  const upb = Number(snapAfter.unitsPerBox || 1);
+  return {
+    type: 'log',
+    group: String(branch || '').trim().toLowerCase(),
+    sku: skuDisplay(sku),
+    name,
+    units_per_box: upb,
+    unit_price: price,
+    in_box: Number(inBox || 0),
+    in_piece: Number(inPiece || 0),
+    out_box: Number(outBox || 0),
+    out_piece: Number(outPiece || 0),
+    stock_box: Number(snapAfter.box || 0),
+    stock_piece: Number(snapAfter.piece || 0),
+    out_amount: (Number(outBox || 0) * upb + Number(outPiece || 0)) * price,
+    stock_amount: Number(snapAfter.stockAmount || 0),
+    warehouse: snapAfter.warehouseLabel,
+    warehouse_code: snapAfter.warehouseCode,
+    created_at: tpeNowISO(),
+    bot_ver: BOT_VER,
+    db_host: SUPA_HOST,
+    biz_date_0500: getBizDate0500TPE(),
+  };
+}
+
+/* GAS 調撥列：一筆 transfer，帶兩邊結存（不拆成兩筆不相關的出/入） */
+function buildGasTransferPayload({ branch, sku, name, box, piece, unitPrice, snapFrom, snapTo }) {
+  const price = Number(unitPrice || 0);
+  const upb = Number(snapFrom.unitsPerBox || snapTo.unitsPerBox || 1);
+  return {
+    type: 'transfer',
+    group: String(branch || '').trim().toLowerCase(),
+    sku: skuDisplay(sku),
+    name,
+    units_per_box: upb,
+    unit_price: price,
+    box: Number(box || 0),
+    piece: Number(piece || 0),
+    amount: (Number(box || 0) * upb + Number(piece || 0)) * price,
+    from_warehouse: snapFrom.warehouseLabel,
+    from_warehouse_code: snapFrom.warehouseCode,
+    from_stock_box: Number(snapFrom.box || 0),
+    from_stock_piece: Number(snapFrom.piece || 0),
+    from_stock_amount: Number(snapFrom.stockAmount || 0),
+    to_warehouse: snapTo.warehouseLabel,
+    to_warehouse_code: snapTo.warehouseCode,
+    to_stock_box: Number(snapTo.box || 0),
+    to_stock_piece: Number(snapTo.piece || 0),
+    to_stock_amount: Number(snapTo.stockAmount || 0),
+    created_at: tpeNowISO(),
+    bot_ver: BOT_VER,
+    db_host: SUPA_HOST,
+    biz_date_0500: getBizDate0500TPE(),
+  };
+}
+
+/* ======== 出庫紀錄（RPC：get_out_logs；依分店 + 營業日，可限倉） ======== */
+async function getOutLogRows(branch, bizDate, warehouseCode = null) {
+  console.log(`[DB] host=${SUPA_HOST} ver=${BOT_VER}`);
+  const { data, error } = await supabase.rpc('get_out_logs', {
+    p_group: String(branch || '').trim().toLowerCase(),
+    p_biz_date: bizDate,
+    p_warehouse_code: warehouseCode,
+  });
+  if (error) throw error;
+  return (Array.isArray(data) ? data : []).map((r) => {
+    const unitsPerBox = pickNum(r.units_per_box ?? 1, 1);
+    const unitPricePiece = pickNum(r.unit_price_piece ?? 0, 0);
+    const outBox = pickNum(r.out_box ?? 0, 0);
+    const outPiece = pickNum(r.out_piece ?? 0, 0);
+    const pieces = outBox * unitsPerBox + outPiece;
+    return {
+      sku: skuKey(r.sku || r.product_sku),
+      name: String(r.product_name || r.sku || '').trim(),
+      warehouseCode: String(r.warehouse_code || '').trim() || 'unspecified',
+      operator: String(r.operator_name || '').trim() || '未知',
+      createdAt: r.created_at || null,
+      outBox,
+      outPiece,
+      unitsPerBox,
+      unitPricePiece,
+      pieces,
+      amount: pieces * unitPricePiece,
+    };
+  });
+}
+
+/* 依 keyFn 加總箱/件/金額（件數已含箱換算） */
+function aggregateOutRows(rows, keyFn) {
+  const map = new Map();
+  for (const r of rows) {
+    const k = keyFn(r);
+    const cur = map.get(k) || { key: k, name: r.name, box: 0, piece: 0, pieces: 0, amount: 0 };
+    cur.box += r.outBox;
+    cur.piece += r.outPiece;
+    cur.pieces += r.pieces;
+    cur.amount += r.amount;
+    map.set(k, cur);
+  }
+  return [...map.values()];
+}
+
+const fmtMoney = (n) => Math.round(Number(n) || 0).toLocaleString('en-US');
+
+/* ======== SKU 異動歷史（RPC：get_sku_movements；含入/出/調撥/調整/撤銷 + 結存） ======== */
+const HISTORY_PAGE_SIZE = 10;
+const MOVEMENT_KIND_LABEL = {
+  in: '入庫',
+  out: '出庫',
+  transfer_in: '調入',
+  transfer_out: '調出',
+  adjust: '盤點調整',
+  undo: '撤銷',
+};
+
+async function getSkuMovements(branch, sku, offset = 0) {
+  console.log(`[DB] host=${SUPA_HOST} ver=${BOT_VER}`);
+  const { data, error } = await supabase.rpc('get_sku_movements', {
+    p_group: String(branch || '').trim().toLowerCase(),
+    p_sku: skuKey(sku),
+    p_limit: HISTORY_PAGE_SIZE + 1, // 多拿一筆判斷是否還有下一頁
+    p_offset: offset,
+  });
+  if (error) throw error;
+  const rows = Array.isArray(data) ? data : [];
+  return { rows: rows.slice(0, HISTORY_PAGE_SIZE), hasMore: rows.length > HISTORY_PAGE_SIZE };
+}
+
+/* ======== 低庫存提醒（reorder_points → 分店群組） ======== */
+// reorder_points：group_name, sku, warehouse_code（null = 全倉合計）, min_pieces（換算件數）
+const REORDER_CACHE = new Map(); // branch -> { ts, map: Map(`${sku}::${wh|*}` -> minPieces) }
+
+async function getReorderPoints(branch) {
+  const group = String(branch || '').trim().toLowerCase();
+  const cached = REORDER_CACHE.get(group);
+  if (cached && Date.now() - cached.ts < 5 * 60 * 1000) return cached.map;
+
+  const map = new Map();
+  try {
+    const { data, error } = await supabase
+      .from('reorder_points')
+      .select('sku, warehouse_code, min_pieces')
+      .eq('group_name', group);
+    if (error) throw error;
+    for (const r of data || []) {
+      map.set(`${skuKey(r.sku)}::${String(r.warehouse_code || '').trim() || '*'}`, pickNum(r.min_pieces, 0));
+    }
+  } catch (e) {
+    console.warn('⚠️ 載入安全庫存失敗（reorder_points）：', e?.message || e);
+  }
+  REORDER_CACHE.set(group, { ts: Date.now(), map });
+  return map;
+}
+
+/* 分店名不分大小寫比對（reorder_points / GAS 用小寫，line_groups.群組 保留原樣） */
+async function getBranchGroupIds(branch) {
+  const group = String(branch || '').trim().toLowerCase();
+  const { data, error } = await supabase.from('line_groups').select('line_group_id, 群組');
+  if (error) {
+    console.warn('[line_groups] error:', error.message);
+    return [];
+  }
+  return (data || [])
+    .filter((r) => String(r.群組 || '').trim().toLowerCase() === group)
+    .map((r) => r.line_group_id)
+    .filter(Boolean);
+}
+
+/* 回傳成功推播的群組數 */
+async function pushToBranchGroups(branch, message) {
+  const ids = await getBranchGroupIds(branch);
+  let sent = 0;
+  for (const to of ids) {
+    try {
+      await linePushWithTimeout(to, message);
+      sent++;
+    } catch (e) {
+      console.warn('[LINE PUSH] branch group fail:', e?.message || e);
+    }
+  }
+  return sent;
+}
+
+/*
+ * 單一 SKU：指定倉的安全庫存比該倉，全倉（*）的比各倉合計；低於且今天還沒提醒過 → 推播
+ * warehouses 省略時重查 get_business_day_stock；回傳推播則數
+ */
+async function checkLowStock({ branch, sku, name, warehouses = null }) {
+  const points = await getReorderPoints(branch);
+  const s = skuKey(sku);
+  const targets = [...points].filter(([k]) => k.startsWith(`${s}::`));
+  if (!targets.length) return 0;
+
+  const list = warehouses || (await getWarehouseStockBySku(branch, s));
+  const group = String(branch || '').trim().toLowerCase();
+  let alerts = 0;
+
+  for (const [k, min] of targets) {
+    const wh = k.slice(s.length + 2);
+    const rows = wh === '*' ? list : list.filter((w) => w.warehouseCode === wh);
+    const box = rows.reduce((a, w) => a + (w.box || 0), 0);
+    const piece = rows.reduce((a, w) => a + (w.piece || 0), 0);
+    const pieces = rows.reduce((a, w) => a + (w.box || 0) * (w.unitsPerBox || 1) + (w.piece || 0), 0);
+    if (pieces > min) continue;
+
+    // 先佔旗標（多台只推一次），推播全部失敗再放回，下次還會再試
+    const key = `${getBizDate0500TPE()}::${group}::${s}::${wh}`;
+    if (!(await stateStore.setIfAbsent('low_stock', key, 1, BIZ_DAY_FLAG_TTL_MS))) continue;
+
+    const whText = wh === '*' ? '全倉合計' : await resolveWarehouseLabel(wh);
+    const sent = await pushToBranchGroups(branch, {
+      type: 'text',
+      text:
+        `⚠️ 低庫存提醒\n分店：${branch}\n${name ? `名稱：${name}\n` : ''}編號：${skuDisplay(s)}\n` +
+        `倉別：${whText}\n目前庫存：${box}箱${piece}散（${pieces}件）\n安全庫存：${min}件`,
+    });
+    console.log(`[低庫存] branch=${group} sku=${s} wh=${wh} pieces=${pieces} min=${min} groups=${sent}`);
+    if (!sent) {
+      await stateStore.del('low_stock', key);
+      continue;
+    }
+    alerts++;
+  }
+  return alerts;
+}
+
+/* 出庫成功後（不影響回覆速度） */
+function checkLowStockAfterOut({ branch, sku, name }) {
+  checkLowStock({ branch, sku, name }).catch((e) => console.warn('[低庫存] check error:', e?.message || e));
+}
+
+/* 定期掃描：有設定安全庫存的分店，逐 SKU 以 get_business_day_stock 取各倉庫存比對 */
+async function sweepLowStock() {
+  const { data, error } = await supabase.from('reorder_points').select('group_name, sku');
+  if (error) throw error;
+  const skusByBranch = new Map(); // group -> Set(sku)
+  for (const r of data || []) {
+    const group = String(r.group_name || '').trim().toLowerCase();
+    if (!group || !r.sku) continue;
+    if (!skusByBranch.has(group)) skusByBranch.set(group, new Set());
+    skusByBranch.get(group).add(skuKey(r.sku));
+  }
+
+  // 單一分店 / SKU 失敗只記 log 繼續，不讓一筆壞資料擋住其他分店的提醒
+  for (const [branch, skus] of skusByBranch) {
+    try {
+      const names = new Map();
+      for (const r of await getProductMasterRows(branch)) {
+        names.set(skuKey(r.product_sku || r['貨品編號']), String(r['貨品名稱'] || '').trim());
+      }
+      let alerts = 0;
+      let failed = 0;
+      for (const sku of skus) {
+        try {
+          alerts += await checkLowStock({ branch, sku, name: names.get(sku) || '' });
+        } catch (e) {
+          failed++;
+          console.warn(`[低庫存] check fail branch=${branch} sku=${sku}:`, e?.message || e);
+        }
+      }
+      console.log(`[低庫存] sweep branch=${branch} skus=${skus.size} alerts=${alerts} failed=${failed}`);
+    } catch (e) {
+      console.warn(`[低庫存] sweep branch=${branch} fail:`, e?.message || e);
+    }
+  }
+}
+
+function startLowStockSweep() {
+  const min = pickNum(LOW_STOCK_SWEEP_MIN, 0);
+  if (min <= 0) return;
+  setInterval(() => {
+    sweepLowStock().catch((e) => console.warn('[低庫存] sweep error:', e?.message || e));
+  }, min * 60 * 1000);
+  console.log(`[低庫存] 定期掃描每 ${min} 分鐘`);
+}
+
+/* ======== 日結報表（排程：05:00 切日後推播前一營業日） ======== */
+async function buildDailySummaryText(branch, bizDate) {
+  const [outRows, { rows: sheetRows }] = await Promise.all([
+    getOutLogRows(branch, bizDate),
+    fetchDailySheetRows(branch, bizDate),
+  ]);
+
+  const lines = [`📊 日結報表 ${bizDate}\n分店：${branch}`];
+
+  // 出庫（依倉）
+  const byWh = aggregateOutRows(outRows, (r) => r.warehouseCode);
+  const totalAmount = byWh.reduce((a, w) => a + w.amount, 0);
+  lines.push(`\n【出庫合計】${outRows.length} 筆｜$${fmtMoney(totalAmount)}`);
+  for (const w of byWh) {
+    lines.push(`・${await resolveWarehouseLabel(w.key)}：${w.box}箱${w.piece}件｜$${fmtMoney(w.amount)}`);
+  }
+
+  // 熱銷 SKU（數量 / 金額）
+  const bySku = aggregateOutRows(outRows, (r) => r.sku);
+  const topQty = [...bySku].sort((a, b) => b.pieces - a.pieces).slice(0, 5);
+  const topAmt = [...bySku].sort((a, b) => b.amount - a.amount).slice(0, 5);
+  if (topQty.length) {
+    lines.push('\n【數量前 5】');
+    topQty.forEach((x, i) => lines.push(`${i + 1}. ${x.name}（#${skuDisplay(x.key)}）${x.pieces}件`));
+    lines.push('\n【金額前 5】');
+    topAmt.forEach((x, i) => lines.push(`${i + 1}. ${x.name}（#${skuDisplay(x.key)}）$${fmtMoney(x.amount)}`));
+  }
+
+  // 各倉庫存金額 + 當日出到 0 的品項
+  const stockByWh = new Map();
+  const outSkus = new Set(outRows.map((r) => r.sku));
+  const zeroed = [];
+  for (const r of sheetRows) {
+    const box = pickNum(r['庫存箱數'] ?? 0, 0);
+    const piece = pickNum(r['庫存散數'] ?? 0, 0);
+    const value = (box * pickNum(r['箱入數'] ?? 1, 1) + piece) * pickNum(r['單價'] ?? 0, 0);
+    const wh = String(r.warehouse_code || '').trim() || 'unspecified';
+    stockByWh.set(wh, (stockByWh.get(wh) || 0) + value);
+
+    const sku = skuKey(r.product_sku || r['貨品編號']);
+    if (box <= 0 && piece <= 0 && outSkus.has(sku)) zeroed.push(`${String(r['貨品名稱'] || sku).trim()}（#${skuDisplay(sku)}）`);
+  }
+  lines.push('\n【庫存金額】');
+  for (const [wh, value] of stockByWh.entries()) {
+    lines.push(`・${await resolveWarehouseLabel(wh)}：$${fmtMoney(value)}`);
+  }
+  if (zeroed.length) lines.push(`\n【當日出完】\n${[...new Set(zeroed)].join('\n')}`);
+
+  return lines.join('\n').slice(0, 5000);
+}
+
+async function sendDailySummaries(bizDate) {
+  const { data, error } = await supabase.from('line_groups').select('群組');
+  if (error) throw error;
+  const branches = [...new Set((data || []).map((r) => r.群組).filter(Boolean))];
+
+  for (const branch of branches) {
+    try {
+      const text = await buildDailySummaryText(branch, bizDate);
+      const sent = await pushToBranchGroups(branch, { type: 'text', text });
+      console.log(`[日結] branch=${branch} bizDate=${bizDate} groups=${sent}`);
+    } catch (e) {
+      console.warn(`[日結] branch=${branch} error:`, e?.message || e);
+    }
+  }
+}
+
+/* 每分鐘檢查一次：過了 DAILY_REPORT_AT 且本營業日還沒推 → 推前一營業日 */
+function startDailySummaryScheduler() {
+  const at = String(DAILY_REPORT_AT || '').trim();
+  if (!/^\d{2}:\d{2}$/.test(at)) return;
+
+  const toMin = (hhmm) => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3, 5));
+  setInterval(async () => {
+    const bizDate = getBizDate0500TPE();
+    const diff = toMin(tpeNowHHmm()) - toMin(at);
+    // 只在設定時間後 2 小時內補推，避免重啟後白天重送
+    if (diff < 0 || diff >= 120) return;
+    try {
+      if (!(await stateStore.setIfAbsent('daily_report', bizDate, 1, BIZ_DAY_FLAG_TTL_MS))) return;
+      await sendDailySummaries(prevDate(bizDate));
+    } catch (e) {
+      console.warn('[日結] error:', e?.message || e);
+    }
+  }, 60 * 1000);
+  console.log(`[日結] 每日 ${at}（台北）推播前一營業日報表`);
+}
+
+/* ======== 對帳：資料庫（daily_sheet_rows_full）vs 試算表 ======== */
+/*
+ * 試算表數字來源：
+ *  - GAS 讀取端點：GET {gas_webhook_url}?action=snapshot&group=&biz_date=（驗證同推送：query secret 或 hmac，body 為空字串）
+ *  - 匯出檔 RECONCILE_FILE：.json（同端點回應）或 .csv（欄位：group,biz_date,sku,warehouse_code,stock_box,stock_piece,stock_amount）
+ * 回應格式：{ rows: [{ sku, warehouse_code | warehouse, stock_box, stock_piece, stock_amount }], keys?: [已入表的 idempotency_key] }
+ */
+const RECONCILE_AMOUNT_TOLERANCE = 1; // 金額差 1 元內視為一致（四捨五入）
+const RECONCILE_MAX_LINES = 30;
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else cell += ch;
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+  const [head = [], ...body] = rows.filter((r) => r.some((c) => c.trim()));
+  return body.map((r) => Object.fromEntries(head.map((h, i) => [h.trim(), r[i]])));
+}
+
+async function fetchSheetSnapshot(branch, bizDate) {
+  const group = String(branch || '').trim().toLowerCase();
+  const file = String(RECONCILE_FILE || '').trim();
+
+  if (file) {
+    // 匯出檔可能含多分店 / 多日：列上有 group / biz_date 就只留本分店、本營業日
+    const mine = (r) =>
+      (!r.group || String(r.group).trim().toLowerCase() === group) && (!r.biz_date || String(r.biz_date).trim() === bizDate);
+    const text = await readFile(path.resolve(file), 'utf8');
+    if (/\.csv$/i.test(file)) return { rows: parseCsv(text).filter(mine), keys: null, source: path.basename(file) };
+    const json = JSON.parse(text);
+    const rows = (Array.isArray(json) ? json : json.rows || []).filter(mine);
+    return { rows, keys: json.keys || null, source: path.basename(file) };
+  }
+
+  const { url, secret, secrets, mode, ready } = await getGasConfig();
+  if (!ready) throw new Error('GAS 未設定，也沒有 RECONCILE_FILE');
+  const params = new URLSearchParams({ action: 'snapshot', group, biz_date: bizDate });
+  if (mode === 'hmac') {
+    const { ts, nonce, sig } = signGasBody('', secrets);
+    params.set('ts', ts);
+    params.set('nonce', nonce);
+    params.set('sig', sig);
+  } else {
+    params.set('secret', secret);
+  }
+  const res = await fetchWithTimeout(`${url.replace(/\?.*$/, '')}?${params}`, { method: 'GET' }, GAS_TIMEOUT_MS);
+  if (!res.ok) throw new Error(`GAS 讀取失敗 HTTP ${res.status}`);
+  const json = await res.json();
+  return { rows: json.rows || [], keys: Array.isArray(json.keys) ? json.keys : null, source: 'GAS' };
+}
+
+/*
+ * 比對每個 SKU/倉的箱、散、金額；任一邊有庫存但另一邊沒有也算不符
+ * 資料庫端：daily_sheet_rows_full 一次取回（每 SKU × 倉一列，與日結報表同一份數字；0 庫存列不算）
+ */
+async function reconcileBranch(branch, bizDate) {
+  const [{ rows: dbRows }, sheet] = await Promise.all([
+    fetchDailySheetRows(branch, bizDate),
+    fetchSheetSnapshot(branch, bizDate),
+  ]);
+
+  const names = new Map();
+  for (const r of dbRows) {
+    const sku = skuKey(r.product_sku || r['貨品編號']);
+    if (sku) names.set(sku, String(r['貨品名稱'] || '').trim());
+  }
+
+  // 同一 SKU/倉若出現多列就累加，不覆蓋
+  const addTo = (map, key, v) => {
+    const cur = map.get(key) || { name: v.name || '', box: 0, piece: 0, amount: 0 };
+    cur.box += v.box;
+    cur.piece += v.piece;
+    cur.amount += v.amount;
+    map.set(key, cur);
+  };
+
+  const db = new Map(); // `${sku}::${wh}` -> { name, box, piece, amount }
+  for (const r of dbRows) {
+    const sku = skuKey(r.product_sku || r['貨品編號']);
+    const box = pickNum(r['庫存箱數'] ?? 0, 0);
+    const piece = pickNum(r['庫存散數'] ?? 0, 0);
+    if (!sku || (box <= 0 && piece <= 0)) continue;
+    const wh = String(r.warehouse_code || '').trim() || 'unspecified';
+    addTo(db, `${sku}::${wh}`, {
+      name: names.get(sku),
+      box,
+      piece,
+      amount: (box * pickNum(r['箱入數'] ?? 1, 1) + piece) * pickNum(r['單價'] ?? 0, 0),
+    });
+  }
+
+  const sh = new Map();
+  for (const r of sheet.rows) {
+    const sku = skuKey(r.sku);
+    if (!sku) continue;
+    const wh =
+      String(r.warehouse_code || '').trim() || (r.warehouse ? await getWarehouseCodeForLabel(r.warehouse) : 'unspecified');
+    addTo(sh, `${sku}::${wh}`, {
+      box: pickNum(r.stock_box, 0),
+      piece: pickNum(r.stock_piece, 0),
+      amount: pickNum(r.stock_amount, 0),
+    });
+  }
+
+  const zero = { box: 0, piece: 0, amount: 0 };
+  const mismatches = [];
+  for (const key of new Set([...db.keys(), ...sh.keys()])) {
+    const a = db.get(key) || zero;
+    const b = sh.get(key) || zero;
+    if (a.box === b.box && a.piece === b.piece && Math.abs(a.amount - b.amount) <= RECONCILE_AMOUNT_TOLERANCE) continue;
+    const [sku, wh] = key.split('::');
+    mismatches.push({
+      sku,
+      warehouseCode: wh,
+      name: names.get(sku) || '',
+      db: a,
+      sheet: b,
+      missing: !sh.has(key) ? 'sheet' : !db.has(key) ? 'db' : null,
+    });
+  }
+  mismatches.sort((x, y) => x.sku.localeCompare(y.sku) || x.warehouseCode.localeCompare(y.warehouseCode));
+
+  // 試算表有回報已入表的 key → 找出送過（sent）卻不在表上的紀錄
+  let missingKeys = null;
+  if (sheet.keys) {
+    const seen = new Set(sheet.keys);
+    const sent = await getSentGasKeys(branch, bizDate);
+    missingKeys = sent.filter((r) => !seen.has(r.idempotency_key));
+  }
+
+  return { branch, bizDate, source: sheet.source, compared: db.size, mismatches, missingKeys };
+}
+
+async function getSentGasKeys(branch, bizDate) {
+  const { data, error } = await supabase
+    .from('gas_outbox')
+    .select('id, idempotency_key')
+    .eq('sink', 'gas')
+    .eq('status', 'sent')
+    .eq('payload->>group', String(branch || '').trim().toLowerCase())
+    .eq('payload->>biz_date_0500', bizDate);
+  if (error) throw error;
+  return data || [];
+}
+
+async function buildReconcileText(result) {
+  const { branch, bizDate, source, compared, mismatches, missingKeys } = result;
+  const lines = [`🧾 對帳 ${branch}｜${bizDate}（${source}）`, `比對 ${compared} 項，不符 ${mismatches.length} 項`];
+  for (const m of mismatches.slice(0, RECONCILE_MAX_LINES)) {
+    const wh = await resolveWarehouseLabel(m.warehouseCode);
+    const tag = m.missing === 'sheet' ? '［表缺］' : m.missing === 'db' ? '［庫無］' : '';
+    lines.push(
+      `・${tag}${m.name || ''}（#${skuDisplay(m.sku)}）${wh}：庫 ${m.db.box}箱${m.db.piece}散 $${fmtMoney(m.db.amount)}` +
+        `／表 ${m.sheet.box}箱${m.sheet.piece}散 $${fmtMoney(m.sheet.amount)}`,
+    );
+  }
+  if (mismatches.length > RECONCILE_MAX_LINES) lines.push(`…其餘 ${mismatches.length - RECONCILE_MAX_LINES} 項略`);
+  if (missingKeys?.length) lines.push(`\n試算表缺 ${missingKeys.length} 筆已送出的紀錄`);
+  if (mismatches.length || missingKeys?.length) lines.push(`補送：對帳 ${bizDate} 重送`);
+  return lines.join('\n').slice(0, 5000);
+}
+
+/* 重送：該營業日 dead 的 GAS 紀錄 + 已送出但試算表沒有的紀錄，重新排入 outbox */
+async function resendMissingGasLogs(result) {
+  const group = String(result.branch || '').trim().toLowerCase();
+  const now = new Date().toISOString();
+  const { data: dead, error } = await supabase
+    .from('gas_outbox')
+    .update({ status: 'pending', attempts: 0, next_attempt_at: now })
+    .eq('sink', 'gas')
+    .eq('status', 'dead')
+    .eq('payload->>group', group)
+    .eq('payload->>biz_date_0500', result.bizDate)
+    .select('id');
+  if (error) throw error;
+
+  let resent = 0;
+  const ids = (result.missingKeys || []).map((r) => r.id);
+  if (ids.length) {
+    const { data, error: e2 } = await supabase
+      .from('gas_outbox')
+      .update({ status: 'pending', attempts: 0, next_attempt_at: now })
+      .in('id', ids)
+      .select('id');
+    if (e2) throw e2;
+    resent = (data || []).length;
+  }
+  if ((dead || []).length + resent) {
+    setImmediate(() => processOutbox().catch((e) => console.warn('[OUTBOX] worker error:', e?.message || e)));
+  }
+  return { dead: (dead || []).length, missing: resent };
+}
+
+async function handleReconcileCommand({ event, branch, lineUserId, parsed }) {
+  const bizDate = parsed.date || getBizDate0500TPE();
+  let result;
+  try {
+    result = await reconcileBranch(branch, bizDate);
+  } catch (e) {
+    console.warn('[對帳] error:', e?.message || e);
+    await replyOrPush(event, { type: 'text', text: `對帳失敗：${e?.message || '未知錯誤'}` });
+    return;
+  }
+
+  if (!parsed.resend) {
+    await replyOrPush(event, { type: 'text', text: await buildReconcileText(result) });
+    return;
+  }
+
+  try {
+    const n = await resendMissingGasLogs(result);
+    await writeAdminAudit({ actor: lineUserId, action: 'reconcile_resend', target: bizDate, after: n, branch });
+    await replyOrPush(event, {
+      type: 'text',
+      text:
+        n.dead + n.missing
+          ? `✅ 已重新排入：失敗 ${n.dead} 筆、表上缺漏 ${n.missing} 筆，背景補送中\n稍後可再「對帳 ${bizDate}」確認`
+          : `沒有可重送的紀錄（不符 ${result.mismatches.length} 項，可能需人工檢查）`,
+    });
+  } catch (e) {
+    await replyOrPush(event, { type: 'text', text: `重送失敗：${e?.message || '未知錯誤'}` });
+  }
+}
+
+/* 分店管理員（有 admin 權限者）私訊推播 */
+async function pushToBranchAdmins(branch, message) {
+  const { data, error } = await supabase.from('users').select('user_id, 角色, 黑名單').eq('群組', branch);
+  if (error) {
+    console.warn('[users] error:', error.message);
+    return 0;
+  }
+  let sent = 0;
+  for (const u of data || []) {
+    if (u.黑名單 || !(await hasPermission(u.角色, 'admin'))) continue;
+    try {
+      await linePushWithTimeout(u.user_id, message);
+      sent++;
+    } catch (e) {
+      console.warn('[LINE PUSH] branch admin fail:', e?.message || e);
+    }
+  }
+  return sent;
+}
+
+async function runReconcileAll(bizDate) {
+  const { data, error } = await supabase.from('line_groups').select('群組');
+  if (error) throw error;
+  const branches = [...new Set((data || []).map((r) => r.群組).filter(Boolean))];
+
+  for (const branch of branches) {
+    try {
+      const result = await reconcileBranch(branch, bizDate);
+      const bad = result.mismatches.length + (result.missingKeys?.length || 0);
+      const sent = bad ? await pushToBranchAdmins(branch, { type: 'text', text: await buildReconcileText(result) }) : 0;
+      console.log(`[對帳] branch=${branch} bizDate=${bizDate} mismatches=${result.mismatches.length} admins=${sent}`);
+    } catch (e) {
+      console.warn(`[對帳] branch=${branch} error:`, e?.message || e);
+    }
+  }
+}
+
+/* 每分鐘檢查一次：過了 RECONCILE_AT 且本營業日還沒跑 → 對前一營業日（已結帳） */
+function startReconcileScheduler() {
+  const at = String(RECONCILE_AT || '').trim();
+  if (!/^\d{2}:\d{2}$/.test(at)) return;
+
+  const toMin = (hhmm) => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3, 5));
+  setInterval(async () => {
+    const bizDate = getBizDate0500TPE();
+    const diff = toMin(tpeNowHHmm()) - toMin(at);
+    if (diff < 0 || diff >= 120) return;
+    try {
+      if (!(await stateStore.setIfAbsent('reconcile', bizDate, 1, BIZ_DAY_FLAG_TTL_MS))) return;
+      await runReconcileAll(prevDate(bizDate));
+    } catch (e) {
+      console.warn('[對帳] error:', e?.message || e);
+    }
+  }, 60 * 1000);
+  console.log(`[對帳] 每日 ${at}（台北）比對前一營業日`);
+}
+
+/* ======== Event logging ======== */
+function logEventSummary(event) {
+  try {
+    const src = event?.source || {};
+    const msg = event?.message || {};
+    const isGroup = src.type === 'group';
+    const isRoom = src.type === 'room';
+    console.log(
+      `[LINE EVENT] type=${event?.type} msgType=${msg?.type || '-'} source=${src.type || '-'} groupId=${
+        isGroup ? src.groupId : '-'
+      } roomId=${isRoom ? src.roomId : '-'} userId=${src.userId || '-'} text="${msg?.type === 'text' ? msg.text : ''}"`,
+    );
+    if (event?.type === 'postback') {
+      console.log(`[LINE POSTBACK] data=${event?.postback?.data || ''}`);
+    }
+  } catch (e) {
+    console.error('[LINE EVENT LOG ERROR]', e);
+  }
+}
+
+/* ======== Server endpoints ======== */
+app.get('/health', (_req, res) => res.status(200).send('OK'));
+app.get('/', (_req, res) => res.status(200).send('RUNNING'));
+app.get('/webhook', (_req, res) => res.status(200).send('OK'));
+app.get('/line/webhook', (_req, res) => res.status(200).send('OK'));
+app.post('/webhook', line.middleware(lineConfig), lineHandler);
+app.post('/line/webhook', line.middleware(lineConfig), lineHandler);
+
+/* ======== 管理端點（Bearer ADMIN_API_TOKEN） ======== */
+function requireAdminToken(req, res, next) {
+  const token = String(ADMIN_API_TOKEN || '').trim();
+  if (!token) return res.status(404).json({ error: 'NOT_FOUND' });
+  // 固定時間比對，避免用回應時間逐字猜出 token（長度不同直接拒絕）
+  const got = Buffer.from(String(req.headers.authorization || ''), 'utf8');
+  const want = Buffer.from(`Bearer ${token}`, 'utf8');
+  if (got.length !== want.length || !timingSafeEqual(got, want)) return res.status(401).json({ error: 'UNAUTHORIZED' });
+  return next();
+}
+
+// GET /admin/outbox?status=dead|pending|sent&group=分店&sink=gas&limit=50
+app.get('/admin/outbox', requireAdminToken, async (req, res) => {
+  try {
+    const status = ['pending', 'sent', 'dead'].includes(req.query.status) ? req.query.status : 'dead';
+    const limit = Math.min(Math.max(pickNum(req.query.limit, 50), 1), 500);
+    const rows = await listOutbox({ status, group: req.query.group || null, sink: req.query.sink || null, limit });
+    res.json({ status, count: rows.length, rows });
+  } catch (e) {
+    res.status(500).json({ error: 'DB_ERROR', message: e?.message || String(e) });
+  }
+});
+
+// POST /admin/outbox/replay { ids?: number[], group?: string, sink?: string }（ids 省略 = 全部 dead）
+app.post('/admin/outbox/replay', requireAdminToken, express.json(), async (req, res) => {
+  try {
+    const ids = (Array.isArray(req.body?.ids) ? req.body.ids : []).map(Number).filter(Boolean);
+    const replayed = await replayOutbox({ ids, group: req.body?.group || null, sink: req.body?.sink || null });
+    res.json({ replayed });
+  } catch (e) {
+    res.status(500).json({ error: 'DB_ERROR', message: e?.message || String(e) });
+  }
+});
+
+/* ======== REST API（/api/*；API key 或 Supabase JWT） ======== */
+/*
+ * 驗證：
+ *  - X-Api-Key：api_clients(name, key_hash = sha256 hex, role, branches text[]（'*' = 全部）, auth_user_id, active)
+ *    出庫寫入紀錄用 auth_user_id（需先建立對應的 App 帳號）
+ *  - Authorization: Bearer <Supabase JWT>：auth user → line_user_map → users（角色 / 黑名單 / 分店同 LINE）
+ * 錯誤一律 { error: CODE, message }：
+ *   UNAUTHORIZED 401 / USER_NOT_LINKED 403 / USER_BLOCKED 403 / BRANCH_FORBIDDEN 403 / PERMISSION_DENIED 403 /
+ *   INVALID_REQUEST 400 / WAREHOUSE_REQUIRED 400 / UNKNOWN_SKU 404 / UNKNOWN_WAREHOUSE 404 / INSUFFICIENT_STOCK 409 /
+ *   CONFIRM_REQUIRED 409 / USER_LOCKED 409（出庫處理中，5 秒鎖）/ INTERNAL 500
+ */
+class ApiError extends Error {
+  constructor(status, code, message, extra = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.extra = extra;
+  }
+}
+
+const API_CLIENT_CACHE = new Map(); // key_hash -> { ts, client }
+
+async function resolveApiPrincipal(req) {
+  const apiKey = String(req.headers['x-api-key'] || '').trim();
+  if (apiKey) {
+    const hash = createHash('sha256').update(apiKey).digest('hex');
+    const cached = API_CLIENT_CACHE.get(hash);
+    let c = cached && Date.now() - cached.ts < 60 * 1000 ? cached.client : null;
+    if (!c) {
+      const { data, error } = await supabase
+        .from('api_clients')
+        .select('name, role, branches, auth_user_id, active')
+        .eq('key_hash', hash)
+        .maybeSingle();
+      if (error) throw new ApiError(500, 'INTERNAL', error.message);
+      c = data;
+      if (c) API_CLIENT_CACHE.set(hash, { ts: Date.now(), client: c });
+    }
+    if (!c || c.active === false) throw new ApiError(401, 'UNAUTHORIZED', 'API key 無效');
+    return {
+      name: `api:${c.name}`,
+      role: c.role || '唯讀',
+      branches: Array.isArray(c.branches) ? c.branches : [],
+      authUuid: c.auth_user_id || null,
+      lineUserId: null,
+    };
+  }
+
+  const m = String(req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (!m) throw new ApiError(401, 'UNAUTHORIZED', '缺少 X-Api-Key 或 Authorization: Bearer');
+  const { data: auth, error } = await supabase.auth.getUser(m[1]);
+  if (error || !auth?.user) throw new ApiError(401, 'UNAUTHORIZED', 'JWT 無效或已過期');
+
+  const { data: link } = await supabase
+    .from('line_user_map')
+    .select('line_user_id')
+    .eq('auth_user_id', auth.user.id)
+    .maybeSingle();
+  if (!link?.line_user_id) throw new ApiError(403, 'USER_NOT_LINKED', '此帳號尚未綁定 LINE 使用者');
+
+  const { data: u } = await supabase
+    .from('users')
+    .select('角色, 黑名單, 群組')
+    .eq('user_id', link.line_user_id)
+    .maybeSingle();
+  if (u?.黑名單) throw new ApiError(403, 'USER_BLOCKED', '此使用者已被停用');
+  return {
+    name: `jwt:${auth.user.id}`,
+    role: u?.角色 || 'user',
+    branches: await getUserBranches(link.line_user_id, u?.群組 || null),
+    authUuid: auth.user.id,
+    lineUserId: link.line_user_id,
+  };
+}
+
+/* branch 未帶時用第一個可用分店 */
+function resolveApiBranch(principal, requested) {
+  const b = String(requested || '').trim() || principal.branches.find((x) => x !== '*');
+  if (!b) throw new ApiError(400, 'INVALID_REQUEST', '請帶 branch');
+  if (!principal.branches.includes('*') && !principal.branches.includes(b)) {
+    throw new ApiError(403, 'BRANCH_FORBIDDEN', `無分店「${b}」的權限`);
+  }
+  return b;
+}
+
+async function requireApiPermission(principal, permission, whCode = null) {
+  if (!(await hasPermission(principal.role, permission, whCode))) {
+    throw new ApiError(403, 'PERMISSION_DENIED', await permissionDeniedText(permission, whCode));
+  }
+}
+
+/* 有庫存的優先，其次商品主檔；都沒有 = UNKNOWN_SKU */
+async function findApiProduct(branch, sku) {
+  const inStock = await findStockProductBySku(sku, branch);
+  if (inStock) return inStock;
+  const row = (await getProductMasterRows(branch)).find((r) => skuKey(r.product_sku || r['貨品編號']) === sku);
+  if (!row) throw new ApiError(404, 'UNKNOWN_SKU', `查無商品：${skuDisplay(sku)}`);
+  return {
+    sku,
+    name: String(row['貨品名稱'] || sku).trim(),
+    unitsPerBox: pickNum(row['箱入數'] ?? 1, 1),
+    price: pickNum(row['單價'] ?? 0, 0),
+  };
+}
+
+/* warehouse 參數：長度 / 字元先擋，再只接受已知倉別 */
+async function resolveApiWarehouse(input) {
+  const v = String(input ?? '').trim();
+  if (!v || v.length > 50 || /[\u0000-\u001f,()"'\\]/.test(v)) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'warehouse 格式錯誤');
+  }
+  const code = await findKnownWarehouseCode(v);
+  if (!code) throw new ApiError(404, 'UNKNOWN_WAREHOUSE', `查無倉別：${v}`);
+  return code;
+}
+
+const apiWarehouse = (w) => ({
+  code: w.warehouseCode,
+  label: w.warehouseLabel,
+  box: w.box,
+  piece: w.piece,
+  units_per_box: w.unitsPerBox,
+  unit_price_piece: w.unitPricePiece,
+});
+
+/* ApiError → { error, message, ...extra }；其他例外一律 500 INTERNAL */
+function sendApiError(req, res, e) {
+  if (e instanceof ApiError) return res.status(e.status).json({ error: e.code, message: e.message, ...e.extra });
+  console.error('[API ERROR]', req.method, req.path, e);
+  return res.status(500).json({ error: 'INTERNAL', message: e?.message || String(e) });
+}
+
+/* handler 包裝：驗證 → 執行 → ApiError 轉 JSON */
+function apiRoute(fn) {
+  return async (req, res) => {
+    try {
+      const principal = await resolveApiPrincipal(req);
+      res.json(await fn(req, principal));
+    } catch (e) {
+      return sendApiError(req, res, e);
+    }
+  };
+}
+
+// GET /api/stock?branch=&sku=&warehouse=
+app.get(
+  '/api/stock',
+  apiRoute(async (req, principal) => {
+    const branch = resolveApiBranch(principal, req.query.branch);
+    const sku = skuKey(req.query.sku);
+    if (!sku) throw new ApiError(400, 'INVALID_REQUEST', '請帶 sku');
+    await requireApiPermission(principal, 'query');
+
+    const product = await findApiProduct(branch, sku);
+    const warehouses = req.query.warehouse
+      ? [await getWarehouseSnapshot(branch, sku, await resolveApiWarehouse(req.query.warehouse))]
+      : await getWarehouseStockBySku(branch, sku);
+    return {
+      branch,
+      biz_date: getBizDate0500TPE(),
+      sku: skuDisplay(sku),
+      name: product.name,
+      units_per_box: product.unitsPerBox,
+      unit_price: product.price,
+      warehouses: warehouses.map(apiWarehouse),
+    };
+  }),
+);
+
+// GET /api/search?branch=&q=&limit=20（只搜當日有庫存的品項，與 LINE「查」相同排序）
+app.get(
+  '/api/search',
+  apiRoute(async (req, principal) => {
+    const branch = resolveApiBranch(principal, req.query.branch);
+    const q = String(req.query.q || '').trim();
+    if (!q) throw new ApiError(400, 'INVALID_REQUEST', '請帶 q');
+    await requireApiPermission(principal, 'query');
+
+    const limit = Math.min(Math.max(pickNum(req.query.limit, 20), 1), 100);
+    const list = await searchByNameInStock(q, branch);
+    return {
+      branch,
+      q,
+      total: list.length,
+      items: list.slice(0, limit).map((p) => ({
+        sku: skuDisplay(p.sku),
+        name: p.name,
+        units_per_box: p.unitsPerBox,
+        unit_price: p.price,
+      })),
+    };
+  }),
+);
+
+// POST /api/out { branch, sku, warehouse?, box, piece, confirm? }（超過大量出庫門檻需 confirm: true）
+// 選用 header X-Device-Id：同一裝置 5 秒內重送會回 USER_LOCKED
+app.post(
+  '/api/out',
+  express.json({ limit: '16kb' }),
+  apiRoute(async (req, principal) => {
+    const body = req.body || {};
+    const branch = resolveApiBranch(principal, body.branch);
+    const sku = skuKey(body.sku);
+    const outBox = Number(body.box || 0);
+    const outPiece = Number(body.piece || 0);
+    if (!sku) throw new ApiError(400, 'INVALID_REQUEST', '請帶 sku');
+    if (![outBox, outPiece].every((n) => Number.isInteger(n) && n >= 0) || outBox + outPiece === 0) {
+      throw new ApiError(400, 'INVALID_REQUEST', 'box / piece 需為非負整數且不可同時為 0');
+    }
+
+    const product = await findApiProduct(branch, sku);
+
+    let warehouseCode;
+    if (body.warehouse) {
+      warehouseCode = await resolveApiWarehouse(body.warehouse);
+    } else {
+      const whList = await getWarehouseStockBySku(branch, sku);
+      if (whList.length !== 1) {
+        throw new ApiError(400, 'WAREHOUSE_REQUIRED', whList.length ? '多個倉庫有庫存，請帶 warehouse' : '所有倉庫皆無庫存', {
+          warehouses: whList.map(apiWarehouse),
+        });
+      }
+      warehouseCode = whList[0].warehouseCode;
+    }
+
+    // 鎖的身分：JWT 使用者用其 LINE userId（與 LINE 共用同一把鎖）；
+    // API key 常由多台平板共用，用 X-Device-Id 分開鎖，沒帶就每個請求各自一把（不擋同一把 key 的其他裝置）
+    const deviceId = String(req.headers['x-device-id'] || '').trim().slice(0, 64);
+    const lockId = principal.lineUserId || `${principal.name}:${deviceId || randomUUID()}`;
+    if (!(await tryAcquireOutLock(lockId, branch))) {
+      throw new ApiError(409, 'USER_LOCKED', '出庫處理中，請 5 秒後再試');
+    }
+
+    const r = await performOut({
+      branch,
+      role: principal.role,
+      lineUserId: principal.lineUserId,
+      authUuid: principal.authUuid,
+      source: 'API',
+      sku,
+      warehouseCode,
+      outBox,
+      outPiece,
+      confirmed: body.confirm === true,
+    });
+
+    if (r.code === 'PERMISSION_DENIED') {
+      throw new ApiError(403, 'PERMISSION_DENIED', await permissionDeniedText('out', warehouseCode));
+    }
+    if (r.code === 'INSUFFICIENT_STOCK') {
+      throw new ApiError(409, 'INSUFFICIENT_STOCK', `庫存不足（倉別：${r.snap.warehouseLabel}）`, {
+        stock: apiWarehouse(r.snap),
+      });
+    }
+    if (r.code === 'CONFIRM_REQUIRED') {
+      throw new ApiError(409, 'CONFIRM_REQUIRED', `大量出庫需確認（${r.reasons.join('、')}），請帶 confirm: true`, {
+        reasons: r.reasons,
+      });
+    }
+    if (r.code === 'NEED_LINK') throw new ApiError(403, 'USER_NOT_LINKED', '此 API client 未設定 auth_user_id');
+    if (!r.ok) throw new ApiError(500, 'INTERNAL', r.message);
+
+    return {
+      ok: true,
+      branch,
+      sku: skuDisplay(sku),
+      name: r.result.productName || product.name,
+      out_box: r.result.outBox,
+      out_piece: r.result.outPiece,
+      stock: apiWarehouse(r.snapAfter),
+    };
+  }),
+);
+
+app.use((err, req, res, next) => {
+  if (req.path === '/webhook' || req.path === '/line/webhook') {
+    console.error('[LINE MIDDLEWARE ERROR]', err?.message || err);
+    return res.status(400).end();
+  }
+  // express.json 解析失敗 / body 過大
+  if (req.path.startsWith('/api/') || req.path.startsWith('/admin/')) {
+    return res.status(err?.status || 400).json({ error: 'INVALID_REQUEST', message: err?.message || 'invalid body' });
+  }
+  return next(err);
+});
+
+/* ======== ✅ Main Handler：先回 200 再處理 ======== */
+async function lineHandler(req, res) {
+  try {
+    const events = req.body?.events || [];
+    res.status(200).send('OK');
+
+    setImmediate(() => {
+      events.forEach(async (ev) => {
+        // 去重（setIfAbsent：多台同時收到也只處理一次）
+        const did = getEventDedupId(ev);
+        if (did && !(await stateStore.setIfAbsent('dedup', did, 1, EVENT_DEDUP_TTL_MS))) {
+          console.log(`[DEDUP] skip ${did}`);
+          return;
+        }
+
+        logEventSummary(ev);
+
+        try {
+          await handleEvent(ev);
+        } catch (err) {
+          console.error('[HANDLE EVENT ERROR]', err);
+          await replyOrPush(ev, {
+            type: 'text',
+            text: `系統忙碌或發生錯誤：${err?.message || '未知錯誤'}`,
+          });
+        }
+      });
+    });
+  } catch (e) {
+    console.error('[WEBHOOK ERROR]', e);
+    try {
+      return res.status(200).send('OK');
+    } catch {}
+  }
+}
+
+/* ======== Event logic ======== */
+async function handleEvent(event) {
+  const source = event.source || {};
+  const isGroup = source.type === 'group';
+  const lineUserId = source.userId || null;
+
+  if (!isGroup && lineUserId) await autoRegisterUser(lineUserId);
+
+  const { branch, branches, role, blocked, needBindMsg } = await resolveBranchAndRole(event);
+  if (blocked) return;
+  if (!isGroup && branches.length > 1 && branch) EVENT_BRANCH_TAG.set(event, branch);
+
+  // 綁定分店：群組尚未綁定時也要能用
+  if (event.type === 'message' && event.message.type === 'text') {
+    const parsedBind = parseCommand(event.message.text || '', event.message.mention?.mentionees);
+    if (parsedBind?.type === 'admin' && parsedBind.action === 'bind_group') {
+      if (!(await ensurePermission(event, role, 'admin'))) return;
+      await handleAdminCommand({ event, branch, lineUserId, parsed: parsedBind });
+      return;
+    }
+  }
+
+  if (!branch) {
+    await replyOrPush(event, { type: 'text', text: needBindMsg || '尚未綁定分店' });
+    return;
+  }
+
+  // db 指令
+  if (event.type === 'message' && event.message.type === 'text') {
+    const parsed0 = parseCommand(event.message.text || '', event.message.mention?.mentionees);
+    if (parsed0?.type === 'db') {
+      const bizDate = getBizDate0500TPE();
+      const up = ((Date.now() - STARTED_AT) / 1000).toFixed(1);
+      await replyOrPush(event, {
+        type: 'text',
+        text: `BOT=${BOT_VER}\nDB_HOST=${SUPA_HOST}\nBIZ_DATE_0500=${bizDate}\nSUPA_TIMEOUT_MS=${SUPA_TIMEOUT_MS}\nUPTIME=${up}s`,
+      });
+      return;
+    }
+  }
+
+  // postback（點倉庫）
+  if (event.type === 'postback') {
+    const pb = parsePostback(event?.postback?.data);
+    if (!pb) return;
+    if (!(await ensurePermission(event, role, permissionForCommand(pb)))) return;
+
+    if (pb.type === 'wh_select_postback') {
+      const sku = pb.sku || (await getLastSku(lineUserId, branch));
+      if (!sku) {
+        await replyOrPush(event, { type: 'text', text: '請先選商品（查/編號）再選倉庫' });
+        return;
+      }
+
+      await replyWarehouseSelected({ event, branch, lineUserId, sku, warehouse: pb.wh });
+      return;
+    }
+
+    // 搜尋結果翻頁
+    if (pb.type === 'more_postback') {
+      if (pb.keywordId) {
+        pb.keyword = (await stateStore.get('search_kw', pb.keywordId)) || '';
+        if (!pb.keyword) {
+          await replyOrPush(event, { type: 'text', text: '搜尋結果已過期，請重新查詢' });
+          return;
+        }
+      }
+      if (pb.mode === 'all') {
+        const all = await searchProductMaster(pb.keyword, branch);
+        if (!all.length) {
+          await replyOrPush(event, { type: 'text', text: '查無此商品' });
+          return;
+        }
+        await replyMasterPage({ event, keyword: pb.keyword, list: all, offset: pb.offset });
+        return;
+      }
+      const list =
+        pb.mode === 'sku' ? await searchBySkuInStock(pb.keyword, branch) : await searchByNameInStock(pb.keyword, branch);
+      if (!list.length) {
+        await replyOrPush(event, { type: 'text', text: '無此商品庫存' });
+        return;
+      }
+      await replyProductPage({ event, mode: pb.mode, keyword: pb.keyword, list, offset: pb.offset });
+      return;
+    }
+
+    // 異動歷史翻頁
+    if (pb.type === 'hist_postback') {
+      if (!pb.sku) return;
+      await replySkuHistory({ event, branch, sku: pb.sku, offset: pb.offset });
+      return;
+    }
+
+    // 商品卡上的「出 1箱 / 出 1件」
+    if (pb.type === 'out_postback') {
+      if (!pb.sku || (pb.box === 0 && pb.piece === 0)) return;
+      if (!(await tryAcquireOutLock(lineUserId, branch))) {
+        await replyOrPush(event, { type: 'text', text: '⚠️ 出庫處理中，請稍後再試一次（5 秒內）' });
+        return;
+      }
+      const whCode = await getWarehouseCodeForLabel(pb.wh);
+      await setLastSku(lineUserId, branch, pb.sku);
+      await setLastWarehouse(lineUserId, branch, whCode, pb.sku);
+      await executeOut({
+        event,
+        branch,
+        role,
+        lineUserId,
+        sku: pb.sku,
+        warehouseCode: whCode,
+        outBox: pb.box,
+        outPiece: pb.piece,
+      });
+      return;
+    }
+
+    if (pb.type === 'out_confirm_postback' || pb.type === 'out_cancel_postback') {
+      const expiredText = '此出庫確認已逾時或不存在，請重新輸入出庫指令';
+      const pending = await stateStore.get('pending_out', pb.id);
+      if (!pending || pending.lineUserId !== lineUserId || pending.branch !== branch) {
+        await replyOrPush(event, { type: 'text', text: expiredText });
+        return;
+      }
+
+      // 確認：先鎖再認領，鎖不到時待確認仍保留，可稍後再按
+      const isConfirm = pb.type === 'out_confirm_postback';
+      if (isConfirm && !(await tryAcquireOutLock(lineUserId, branch))) {
+        await replyOrPush(event, { type: 'text', text: '⚠️ 出庫處理中，請稍後再按一次「確認出庫」（5 秒內）' });
+        return;
+      }
+      // del 成功才算認領（連點或多台同時收到只會執行一次）
+      if (!(await stateStore.del('pending_out', pb.id))) {
+        if (isConfirm) await releaseOutLock(lineUserId, branch);
+        await replyOrPush(event, { type: 'text', text: expiredText });
+        return;
+      }
+
+      if (!isConfirm) {
+        await replyOrPush(event, { type: 'text', text: `已取消出庫（編號：${skuDisplay(pending.sku)}）` });
+        return;
+      }
+      await executeOut({ event, ...pending, role, confirmed: true });
+      return;
+    }
+    return;
+  }
+
+  if (event.type !== 'message' || event.message.type !== 'text') return;
+
+  const text = event.message.text || '';
+
+  // 多行批次出庫（整批共用一次出庫鎖）
+  const batch = parseBatchOutLines(text);
+  if (batch) {
+    if (!(await ensurePermission(event, role, permissionForCommand({ type: 'batch_out' })))) return;
+    await handleBatchOut({ event, branch, role, lineUserId, batch });
+    return;
+  }
+
+  const parsed = parseCommand(text, event.message.mention?.mentionees);
+  if (!parsed) return;
+
+  // ✅ 權限統一檢查（有指定 @倉庫 時一併檢查倉庫限制）
+  const perm = permissionForCommand(parsed);
+  const explicitWh = parsed.type === 'transfer' ? parsed.from : parsed.warehouse;
+  const explicitWhCode = explicitWh && parsed.type !== 'wh_select' ? await getWarehouseCodeForLabel(explicitWh) : null;
+  if (perm && !(await ensurePermission(event, role, perm, explicitWhCode))) return;
+
+  // 倉庫選擇（文字）
+  if (parsed.type === 'wh_select') {
+    const sku = await getLastSku(lineUserId, branch);
+    if (!sku) {
+      await replyOrPush(event, { type: 'text', text: '請先選商品（查/編號）再選倉庫' });
+      return;
+    }
+
+    await replyWarehouseSelected({ event, branch, lineUserId, sku, warehouse: parsed.warehouse });
+    return;
+  }
+
+  // 查詢共用
+  const doQueryCommon = async (p) => {
+    const sku = skuKey(p.sku);
+    const barcodeLine = p.barcode
+      ? `條碼：${p.barcode}${p.packType ? `（${PACK_TYPE_LABEL[p.packType]}）` : ''}\n`
+      : '';
+    const whList = await getWarehouseStockBySku(branch, sku);
+    if (!whList.length) {
+      await replyOrPush(event, { type: 'text', text: '無此商品庫存' });
+      return;
+    }
+
+    await setLastSku(lineUserId, branch, sku);
+
+    const extraRows = p.barcode ? [['條碼', `${p.barcode}${p.packType ? `（${PACK_TYPE_LABEL[p.packType]}）` : ''}`]] : [];
+    const packQr = buildQuickReplyForPackDefault(p.packType, whList);
+
+    if (whList.length >= 2) {
+      const textMsg = {
+        type: 'text',
+        text: `${barcodeLine}名稱：${p.name}\n編號：${skuDisplay(sku)}\n👉請選擇倉庫`,
+        quickReply: packQr || buildQuickReplyForWarehousesForQuery(whList),
+      };
+      await replyFlexOrText(
+        event,
+        { ...buildStockFlex({ altText: textMsg.text, product: p, warehouses: whList, extraRows }), quickReply: textMsg.quickReply },
+        textMsg,
+      );
+      return;
+    }
+
+    const chosen = whList[0];
+    await setLastWarehouse(lineUserId, branch, chosen.warehouseCode, sku);
+
+    const text =
+      barcodeLine +
+      `名稱：${p.name}\n編號：${skuDisplay(sku)}\n箱入數：${p.unitsPerBox}\n單價：${p.price}\n` +
+      `倉庫類別：${chosen.warehouseLabel}\n庫存：${chosen.box}箱${chosen.piece}散`;
+    await replyFlexOrText(
+      event,
+      { ...buildStockFlex({ altText: text, product: p, warehouses: [chosen], extraRows }), ...(packQr ? { quickReply: packQr } : {}) },
+      { type: 'text', text, ...(packQr ? { quickReply: packQr } : {}) },
+    );
+  };
+
+  // 條碼
+  if (parsed.type === 'barcode') {
+    const code = normalizeBarcode(parsed.barcode);
+    let matches = await resolveBarcode(code);
+
+    // 未建條碼時，內部碼常直接等於貨號
+    if (!matches.length && (await findStockProductBySku(code, branch))) {
+      matches = [{ sku: skuKey(code), packType: null }];
+    }
+
+    if (!matches.length) {
+      const hint = /^\d{8,14}$/.test(code) && !isValidGtin(code) ? '（檢查碼不符，可能掃描錯誤）' : '';
+      await replyOrPush(event, {
+        type: 'text',
+        text: `查無此條碼：${code}${hint}\n請確認條碼，或改用「查 關鍵字」／「編號 貨號」查詢`,
+      });
+      return;
+    }
+
+    const found = [];
+    for (const m of matches) {
+      const p = await findStockProductBySku(m.sku, branch);
+      if (p) found.push({ ...p, barcode: code, packType: m.packType });
+    }
+
+    if (!found.length) {
+      await replyOrPush(event, {
+        type: 'text',
+        text: `條碼 ${code} 對應編號：${matches.map((m) => skuDisplay(m.sku)).join('、')}\n目前無此商品庫存`,
+      });
+      return;
+    }
+
+    if (found.length > 1) {
+      await replyOrPush(event, {
+        type: 'text',
+        text: `條碼 ${code} 對應多個庫存品項，請選擇`,
+        quickReply: buildQuickReplyForProducts(found),
+      });
+      return;
+    }
+
+    await doQueryCommon(found[0]);
+    return;
+  }
+
+  // 查全 關鍵字（含無庫存）
+  if (parsed.type === 'query_all') {
+    const list = await searchProductMaster(parsed.keyword, branch);
+    if (!list.length) {
+      await replyOrPush(event, { type: 'text', text: `查無與「${parsed.keyword}」相關的商品（含無庫存）` });
+      return;
+    }
+
+    if (list.length > 1) {
+      await replyMasterPage({ event, keyword: parsed.keyword, list, offset: 0 });
+      return;
+    }
+
+    const only = list[0];
+    if (only.box > 0 || only.piece > 0) {
+      await doQueryCommon(only);
+      return;
+    }
+    // 無庫存也選定，方便主管直接「入」
+    await setLastSku(lineUserId, branch, only.sku);
+    await replyOrPush(event, {
+      type: 'text',
+      text: `${describeMasterItem(only)}\n箱入數：${only.unitsPerBox}\n單價：${only.price}`,
+    });
+    return;
+  }
+
+  // 查 關鍵字
+  if (parsed.type === 'query') {
+    const list = await searchByNameInStock(parsed.keyword, branch);
+    if (!list.length) {
+      await replyOrPush(event, { type: 'text', text: '無此商品庫存' });
+      return;
+    }
+
+    if (list.length > 1) {
+      await replyProductPage({ event, mode: 'name', keyword: parsed.keyword, list, offset: 0 });
+      return;
+    }
+
+    await doQueryCommon(list[0]);
+    return;
+  }
+
+  // 編號 / #
+  if (parsed.type === 'sku') {
+    const list = await searchBySkuInStock(parsed.sku, branch);
+    if (!list.length) {
+      await replyOrPush(event, { type: 'text', text: '無此商品庫存' });
+      return;
+    }
+
+    if (list.length > 1) {
+      await replyProductPage({ event, mode: 'sku', keyword: parsed.sku, list, offset: 0 });
+      return;
+    }
+
+    await doQueryCommon(list[0]);
+    return;
+  }
+
+  // 切換分店（1:1）
+  if (parsed.type === 'switch_branch') {
+    if (isGroup) {
+      await replyOrPush(event, { type: 'text', text: '群組固定使用綁定的分店，切換分店請私訊機器人' });
+      return;
+    }
+    if (!branches.length) {
+      await replyOrPush(event, { type: 'text', text: needBindMsg });
+      return;
+    }
+    if (!parsed.branch || !branches.includes(parsed.branch)) {
+      await replyOrPush(event, {
+        type: 'text',
+        text: `${parsed.branch ? `您沒有「${parsed.branch}」的權限。\n` : ''}可切換的分店：${branches.join('、')}`,
+        quickReply: {
+          items: branches.slice(0, 12).map((b) => ({
+            type: 'action',
+            action: { type: 'message', label: b.slice(0, 20), text: `切換 ${b}` },
+          })),
+        },
+      });
+      return;
+    }
+    await stateStore.set('active_branch', lineUserId, parsed.branch, ACTIVE_BRANCH_TTL_MS);
+    EVENT_BRANCH_TAG.set(event, parsed.branch);
+    await replyOrPush(event, { type: 'text', text: `✅ 已切換到分店：${parsed.branch}` });
+    return;
+  }
+
+  // 查 X 全分店
+  if (parsed.type === 'query_cross') {
+    await handleCrossBranchQuery({ event, branches: branches.length ? branches : [branch], keyword: parsed.keyword });
+    return;
+  }
+
+  // 帳號綁定
+  if (parsed.type === 'link') {
+    await handleAccountLink({ event, lineUserId, parsed });
+    return;
+  }
+
+  // 管理指令
+  if (parsed.type === 'admin') {
+    await handleAdminCommand({ event, branch, lineUserId, parsed });
+    return;
+  }
+
+  // 盤點
+  if (parsed.type === 'stocktake') {
+    await handleStocktake({ event, branch, role, lineUserId, parsed });
+    return;
+  }
+
+  // 異動歷史
+  if (parsed.type === 'history') {
+    const sku = parsed.sku || (await getLastSku(lineUserId, branch));
+    if (!sku) {
+      await replyOrPush(event, { type: 'text', text: '請輸入「歷史 #編號」，或先用「查/編號」選定商品' });
+      return;
+    }
+    await replySkuHistory({ event, branch, sku, offset: 0 });
+    return;
+  }
+
+  // 對帳
+  if (parsed.type === 'reconcile') {
+    await handleReconcileCommand({ event, branch, lineUserId, parsed });
+    return;
+  }
+
+  // 出庫報表
+  if (parsed.type === 'out_report') {
+    await handleOutReport({ event, branch, parsed });
+    return;
+  }
+
+  // 撤銷最後一筆出庫
+  if (parsed.type === 'undo') {
+    await handleUndoLastOut({ event, branch, role, lineUserId });
+    return;
+  }
+
+  // 調撥
+  if (parsed.type === 'transfer') {
+    await handleTransfer({ event, branch, role, lineUserId, parsed });
+    return;
+  }
+
+  // 入/出庫
+  if (parsed.type === 'change') {
+    if (parsed.action === 'in') {
+      await handleStockIn({ event, branch, role, lineUserId, parsed });
+      return;
+    }
+
+    // ✅ 只有出庫/入庫才鎖 5 秒（同 user + branch）
+    if (!(await tryAcquireOutLock(lineUserId, branch))) {
+      await replyOrPush(event, { type: 'text', text: '⚠️ 出庫處理中，請稍後再試一次（5 秒內）' });
+      return;
+    }
+
+    try {
+      const outBox = parsed.box || 0;
+      const outPiece = parsed.piece || 0;
+      if (outBox === 0 && outPiece === 0) return;
+
+      const skuLast = await getLastSku(lineUserId, branch);
+      if (!skuLast) {
+        await replyOrPush(event, { type: 'text', text: '請先用「查 商品」或「編號」選定「有庫存」商品後再出庫。' });
+        return;
+      }
+
+      const whList = await getWarehouseStockBySku(branch, skuLast);
+      if (!whList.length) {
+        await replyOrPush(event, { type: 'text', text: '所有倉庫皆無庫存，無法出庫。' });
+        return;
+      }
+      const lastWhCode = await getLastWarehouse(lineUserId, branch, skuLast);
+
+      let chosenWhCode = null;
+      if (parsed.warehouse) {
+        chosenWhCode = await getWarehouseCodeForLabel(parsed.warehouse);
+      } else if (lastWhCode) {
+        const matched = whList.find((w) => w.warehouseCode === lastWhCode);
+        if (matched) chosenWhCode = matched.warehouseCode;
+      }
+
+      if (!chosenWhCode) {
+        if (whList.length >= 2) {
+          await replyOrPush(event, {
+            type: 'text',
+            text: '請選擇要出庫的倉庫',
+            quickReply: buildQuickReplyForWarehouses('出', whList, outBox, outPiece),
+          });
+          return;
+        }
+        chosenWhCode = whList[0].warehouseCode;
+      }
+
+      await setLastWarehouse(lineUserId, branch, chosenWhCode, skuLast);
+
+      await executeOut({ event, branch, role, lineUserId, sku: skuLast, warehouseCode: chosenWhCode, outBox, outPiece });
+    } finally {
+      // lock 保留 5 秒自然過期，不主動解除（防重送/併發）
+    }
+
+    return;
+  }
+}
+
+/* ======== 搜尋結果分頁（每頁 SEARCH_PAGE_SIZE 筆 + 上/下一頁） ======== */
+async function replyProductPage({ event, mode, keyword, list, offset }) {
+  const total = list.length;
+  const start = Math.min(offset, Math.max(0, total - 1));
+  const page = list.slice(start, start + SEARCH_PAGE_SIZE);
+  const end = start + page.length;
+  const keywordRef = total > SEARCH_PAGE_SIZE ? await pagingKeywordRef(keyword) : null;
+
+  await replyOrPush(event, {
+    type: 'text',
+    text:
+      `找到 ${total} 筆與「${keyword}」相關的庫存品項` +
+      (total > SEARCH_PAGE_SIZE ? `（第 ${start + 1}-${end} 筆）` : ''),
+    quickReply: buildQuickReplyForProducts(page, { mode, keywordRef, offset: start, total }),
+  });
+}
+
+/* 查全：文字列出該頁（標示無庫存），有庫存的品項可點選 */
+async function replyMasterPage({ event, keyword, list, offset }) {
+  const total = list.length;
+  const start = Math.min(offset, Math.max(0, total - 1));
+  const page = list.slice(start, start + SEARCH_PAGE_SIZE);
+  const end = start + page.length;
+  const zero = list.filter((p) => p.box <= 0 && p.piece <= 0).length;
+
+  const keywordRef = total > SEARCH_PAGE_SIZE ? await pagingKeywordRef(keyword) : null;
+  const qr = buildQuickReplyForProducts(
+    page.filter((p) => p.box > 0 || p.piece > 0),
+    { mode: 'all', keywordRef, offset: start, total },
+  );
+  await replyOrPush(event, {
+    type: 'text',
+    text:
+      `找到 ${total} 筆與「${keyword}」相關的商品（無庫存 ${zero} 筆）` +
+      (total > SEARCH_PAGE_SIZE ? `（第 ${start + 1}-${end} 筆）` : '') +
+      `\n${page.map((p, i) => `${start + i + 1}. ${describeMasterItem(p)}`).join('\n')}`,
+    ...(qr.items.length ? { quickReply: qr } : {}),
+  });
+}
+
+/* ======== 選倉（文字「倉 X」與商品卡 postback 共用） ======== */
+async function replyWarehouseSelected({ event, branch, lineUserId, sku, warehouse }) {
+  const whCode = await getWarehouseCodeForLabel(warehouse);
+  await setLastWarehouse(lineUserId, branch, whCode, sku);
+
+  const snap = await getWarehouseSnapshot(branch, sku, whCode);
+  const text = `編號：${skuDisplay(sku)}\n倉庫類別：${snap.warehouseLabel}\n庫存：${snap.box}箱${snap.piece}散`;
+  const product = (await findStockProductBySku(sku, branch)) || {
+    sku,
+    name: skuDisplay(sku),
+    unitsPerBox: snap.unitsPerBox,
+    price: snap.unitPricePiece,
+  };
+  await replyFlexOrText(event, buildStockFlex({ altText: text, product, warehouses: [snap] }), { type: 'text', text });
+}
+
+/* ======== 出庫執行（庫存檢查 → 大量確認 → 交易 → 回覆 → sink） ======== */
+/*
+ * 出庫核心（LINE / REST 共用）：權限 → 出庫前 requery → 門檻確認 → 交易 → 低庫存 / sink
+ * 不負責回覆與鎖，回傳 { ok: true, result, snapAfter } 或 { ok: false, code, ... }
+ *   code：PERMISSION_DENIED / INSUFFICIENT_STOCK / CONFIRM_REQUIRED / NEED_LINK / TX_FAILED
+ */
+async function performOut({
+  branch,
+  role,
+  lineUserId,
+  authUuid = null,
+  source = 'LINE',
+  sku,
+  warehouseCode,
+  outBox,
+  outPiece,
+  confirmed = false,
+}) {
+  if (!(await hasPermission(role, 'out', warehouseCode))) return { ok: false, code: 'PERMISSION_DENIED' };
+
+  // 出庫前 requery
+  const snapBefore = await getWarehouseSnapshot(branch, sku, warehouseCode);
+  const curBox = snapBefore.box || 0;
+  const curPiece = snapBefore.piece || 0;
+  if ((outBox > 0 && curBox < outBox) || (outPiece > 0 && curPiece < outPiece)) {
+    return { ok: false, code: 'INSUFFICIENT_STOCK', snap: snapBefore };
+  }
+
+  if (!confirmed) {
+    const reasons = await getOutConfirmReasons({ branch, sku, outBox, outPiece, snap: snapBefore });
+    if (reasons.length) return { ok: false, code: 'CONFIRM_REQUIRED', reasons, snap: snapBefore };
+  }
+
+  // 出庫交易
+  let result;
+  try {
+    result = await callOutOnceTx({ branch, sku, outBox, outPiece, warehouseCode, lineUserId, authUuid, source });
+  } catch (err) {
+    console.error('[fifo_out_and_log ERROR]', err);
+    const message = err?.message || '未知錯誤';
+    return { ok: false, code: message === NEED_LINK_MSG ? 'NEED_LINK' : 'TX_FAILED', message };
+  }
+
+  // 出庫後再查一次
+  invalidateTodayStockRows(branch);
+  const snapAfter = await getWarehouseSnapshot(branch, sku, warehouseCode);
+
+  checkLowStockAfterOut({ branch, sku, name: result.productName });
+
+  // 推送 sink（不影響回覆速度）
+  try {
+    const payload = {
+      ...buildGasLogPayload({
+        branch,
+        sku,
+        name: result.productName,
+        snapAfter,
+        unitPrice: snapAfter.unitPricePiece || result.unitPricePiece,
+        outBox: result.outBox || outBox,
+        outPiece: result.outPiece || outPiece,
+      }),
+      // 只有非 LINE 來源才加 source 欄位，既有 GAS 試算表的 LINE 出庫列欄位不變
+      ...(source !== 'LINE' ? { source } : {}),
+    };
+
+    emitInventoryEvent(payload).catch((e) => console.warn('[SINK FIRE-AND-FORGET ERROR]', e?.message || e));
+  } catch (e) {
+    console.warn('[GAS PAYLOAD ERROR]', e?.message || e);
+  }
+
+  return { ok: true, result, snapAfter };
+}
+
+async function executeOut({ event, branch, role, lineUserId, sku, warehouseCode, outBox, outPiece, confirmed = false }) {
+  const r = await performOut({ branch, role, lineUserId, sku, warehouseCode, outBox, outPiece, confirmed });
+
+  if (r.code === 'PERMISSION_DENIED') {
+    await replyOrPush(event, { type: 'text', text: await permissionDeniedText('out', warehouseCode) });
+    return;
+  }
+
+  if (r.code === 'INSUFFICIENT_STOCK') {
+    await replyOrPush(event, {
+      type: 'text',
+      text: `庫存不足，無法出庫（倉別：${r.snap.warehouseLabel}）\n目前庫存：${r.snap.box || 0}箱${r.snap.piece || 0}散`,
+    });
+    return;
+  }
+
+  // 超過門檻 → 先回確認/取消，確認後才出庫（這次沒有異動，放鎖讓使用者馬上可以確認）
+  if (r.code === 'CONFIRM_REQUIRED') {
+    await releaseOutLock(lineUserId, branch);
+    const id = randomUUID().slice(0, 8);
+    await stateStore.set(
+      'pending_out',
+      id,
+      { lineUserId, branch, sku: skuKey(sku), warehouseCode, outBox, outPiece },
+      PENDING_OUT_TTL_MS,
+    );
+    const product = await findStockProductBySku(sku, branch);
+    const text =
+      `⚠️ 大量出庫確認（${r.reasons.join('、')}）\n` +
+      `${product?.name ? `名稱：${product.name}\n` : ''}編號：${skuDisplay(sku)}\n倉別：${r.snap.warehouseLabel}\n` +
+      `出庫：${outBox}箱 ${outPiece}件\n請於 ${Math.round(PENDING_OUT_TTL_MS / 1000)} 秒內確認`;
+    await replyOrPush(event, {
+      type: 'template',
+      altText: text.slice(0, 400),
+      template: {
+        type: 'confirm',
+        text: text.slice(0, 240),
+        actions: [
+          { type: 'postback', label: '確認出庫', data: `a=out_confirm&id=${id}`, displayText: '確認出庫' },
+          { type: 'postback', label: '取消', data: `a=out_cancel&id=${id}`, displayText: '取消出庫' },
+        ],
+      },
+    });
+    return;
+  }
+
+  if (!r.ok) {
+    await replyOrPush(event, { type: 'text', text: `操作失敗：${r.message}` });
+    return;
+  }
+
+  const { result, snapAfter } = r;
+  const outText =
+    `✅ 出庫成功\n編號：${skuDisplay(sku)}\n倉別：${snapAfter.warehouseLabel}\n出庫：${Number(result.outBox || outBox)}箱 ${Number(
+      result.outPiece || outPiece,
+    )}件\n👉目前庫存：${snapAfter.box}箱${snapAfter.piece}散`;
+  await replyFlexOrText(
+    event,
+    buildStockFlex({
+      altText: outText,
+      title: '✅ 出庫成功',
+      product: { sku, name: result.productName, unitsPerBox: snapAfter.unitsPerBox, price: snapAfter.unitPricePiece },
+      warehouses: [snapAfter],
+      extraRows: [['出庫', `${Number(result.outBox || outBox)}箱 ${Number(result.outPiece || outPiece)}件`]],
+    }),
+    { type: 'text', text: outText },
+  );
+}
+
+/* ======== 批次出庫（先全部驗證，再逐筆交易，最後一次回覆彙總） ======== */
+async function handleBatchOut({ event, branch, role, lineUserId, batch }) {
+  if (batch.items.length + batch.invalid.length > BATCH_OUT_MAX_LINES) {
+    await replyOrPush(event, { type: 'text', text: `批次出庫一次最多 ${BATCH_OUT_MAX_LINES} 行` });
+    return;
+  }
+
+  if (!(await tryAcquireOutLock(lineUserId, branch))) {
+    await replyOrPush(event, { type: 'text', text: '⚠️ 出庫處理中，請稍後再試一次（5 秒內）' });
+    return;
+  }
+
+  const results = batch.invalid.map((x) => ({ ...x, ok: false, reason: '格式錯誤（例：#A001 出 2箱 @總倉）' }));
+
+  // 1) 驗證：同一 SKU/倉 多行時扣減剩餘量，避免合計超出
+  const remaining = new Map(); // `${sku}::${wh}` -> { box, piece }
+  const valid = [];
+  for (const it of batch.items) {
+    const r = { lineNo: it.lineNo, raw: it.raw, sku: it.sku, box: it.box, piece: it.piece, ok: false };
+    results.push(r);
+
+    const product = await findStockProductBySku(it.sku, branch);
+    if (!product) {
+      r.reason = '查無此商品庫存';
+      continue;
+    }
+    r.name = product.name;
+
+    let whCode = null;
+    if (it.warehouse) {
+      whCode = await getWarehouseCodeForLabel(it.warehouse);
+    } else {
+      const whList = await getWarehouseStockBySku(branch, it.sku);
+      if (whList.length === 1) whCode = whList[0].warehouseCode;
+      else {
+        r.reason = whList.length ? '多個倉庫有庫存，請加 @倉庫' : '所有倉庫皆無庫存';
+        continue;
+      }
+    }
+    r.warehouseCode = whCode;
+    if (!(await hasPermission(role, 'out', whCode))) {
+      r.reason = `無「${await resolveWarehouseLabel(whCode)}」出庫權限`;
+      continue;
+    }
+
+    const key = `${it.sku}::${whCode}`;
+    if (!remaining.has(key)) {
+      const snap = await getWarehouseSnapshot(branch, it.sku, whCode);
+      remaining.set(key, { box: snap.box, piece: snap.piece, snap });
+    }
+    const rem = remaining.get(key);
+    r.warehouseLabel = rem.snap.warehouseLabel;
+
+    if ((it.box > 0 && rem.box < it.box) || (it.piece > 0 && rem.piece < it.piece)) {
+      r.reason = `庫存不足（目前 ${rem.box}箱${rem.piece}散）`;
+      continue;
+    }
+
+    const reasons = await getOutConfirmReasons({ branch, sku: it.sku, outBox: it.box, outPiece: it.piece, snap: rem.snap });
+    if (reasons.length) {
+      r.reason = `超過確認門檻（${reasons.join('、')}），請單筆出庫`;
+      continue;
+    }
+
+    rem.box -= it.box;
+    rem.piece -= it.piece;
+    valid.push(r);
+  }
+
+  // 2) 執行：逐筆走 performOut（與單筆出庫同一條路：requery、交易、低庫存、sink），失敗不影響其他行
+  //    門檻已在驗證時依剩餘量檢查過，這裡視為已確認
+  for (const r of valid) {
+    const out = await performOut({
+      branch,
+      role,
+      lineUserId,
+      sku: r.sku,
+      warehouseCode: r.warehouseCode,
+      outBox: r.box,
+      outPiece: r.piece,
+      confirmed: true,
+    });
+    if (!out.ok) {
+      r.reason =
+        out.code === 'INSUFFICIENT_STOCK'
+          ? `庫存不足（目前 ${out.snap.box || 0}箱${out.snap.piece || 0}散）`
+          : out.code === 'PERMISSION_DENIED'
+            ? `無「${r.warehouseLabel}」出庫權限`
+            : `操作失敗：${out.message || '未知錯誤'}`;
+      continue;
+    }
+    r.ok = true;
+    r.stockBox = out.snapAfter.box;
+    r.stockPiece = out.snapAfter.piece;
+  }
+
+  // 3) 彙總回覆（依原始行序）
+  results.sort((x, y) => x.lineNo - y.lineNo);
+  const okCount = results.filter((r) => r.ok).length;
+  const lines = results.map((r) => {
+    if (!r.sku) return `❌ 第${r.lineNo}行「${r.raw}」：${r.reason}`;
+    const head = `#${skuDisplay(r.sku)}${r.name ? ` ${r.name}` : ''}${r.warehouseLabel ? ` ${r.warehouseLabel}` : ''} 出 ${r.box}箱${r.piece}件`;
+    return r.ok ? `✅ ${head} → 餘 ${r.stockBox}箱${r.stockPiece}散` : `❌ ${head}：${r.reason}`;
+  });
+
+  await replyOrPush(event, {
+    type: 'text',
+    text: `📦 批次出庫結果（成功 ${okCount}／失敗 ${results.length - okCount}）\n${lines.join('\n')}`.slice(0, 5000),
+  });
+}
+
+/* ======== 入庫（需「入庫」權限，預設主管；流程對齊出庫） ======== */
+const DEFAULT_IN_WAREHOUSES = ['main', 'prize', 'swap', 'withdraw'];
+
+async function handleStockIn({ event, branch, role, lineUserId, parsed }) {
+  if (!(await tryAcquireOutLock(lineUserId, branch))) {
+    await replyOrPush(event, { type: 'text', text: '⚠️ 入庫處理中，請稍後再試一次（5 秒內）' });
+    return;
+  }
+
+  const inBox = parsed.box || 0;
+  const inPiece = parsed.piece || 0;
+  if (inBox === 0 && inPiece === 0) return;
+
+  const skuLast = await getLastSku(lineUserId, branch);
+  if (!skuLast) {
+    await replyOrPush(event, { type: 'text', text: '請先用「查 商品」或「編號」選定商品後再入庫。' });
+    return;
+  }
+  const lastWhCode = await getLastWarehouse(lineUserId, branch, skuLast);
+
+  // 入庫不需原本有庫存：指定（必須是已知倉別）> 替這個商品選過的倉 > 唯一有庫存的倉 > 請使用者選
+  let chosenWhCode = null;
+  if (parsed.warehouse) {
+    chosenWhCode = await findKnownWarehouseCode(parsed.warehouse);
+    if (!chosenWhCode) {
+      await replyOrPush(event, { type: 'text', text: `找不到倉庫「${parsed.warehouse}」，請確認倉別名稱` });
+      return;
+    }
+  } else if (lastWhCode) {
+    chosenWhCode = lastWhCode;
+  } else {
+    const whList = await getWarehouseStockBySku(branch, skuLast);
+    if (whList.length === 1) {
+      chosenWhCode = whList[0].warehouseCode;
+    } else {
+      const choices = whList.length
+        ? whList
+        : await Promise.all(
+            DEFAULT_IN_WAREHOUSES.map(async (code) => ({
+              warehouseCode: code,
+              warehouseLabel: await resolveWarehouseLabel(code),
+              box: 0,
+              piece: 0,
+            })),
+          );
       await replyOrPush(event, {
         type: 'text',
-        text: `BOT=${BOT_VER}\nDB_HOST=${SUPA_HOST}\nBIZ_DATE_0500=${bizDate}\nSUPA_TIMEOUT_MS=${SUPA_TIMEOUT_MS}\nUPTIME=${up}s`,
+        text: '請選擇要入庫的倉庫',
+        quickReply: buildQuickReplyForWarehouses('入', choices, inBox, inPiece),
+      });
+      return;
+    }
+  }
+
+  if (!(await ensurePermission(event, role, 'in', chosenWhCode))) return;
+  await setLastWarehouse(lineUserId, branch, chosenWhCode, skuLast);
+
+  const snapBefore = await getWarehouseSnapshot(branch, skuLast, chosenWhCode);
+
+  let result;
+  try {
+    result = await callInOnceTx({
+      branch,
+      sku: skuLast,
+      inBox,
+      inPiece,
+      warehouseCode: chosenWhCode,
+      lineUserId,
+    });
+  } catch (err) {
+    console.error('[fifo_in_and_log ERROR]', err);
+    await replyOrPush(event, { type: 'text', text: `操作失敗：${err?.message || '未知錯誤'}` });
+    return;
+  }
+
+  invalidateTodayStockRows(branch);
+  const snapAfter = await getWarehouseSnapshot(branch, skuLast, chosenWhCode);
+
+  await replyOrPush(event, {
+    type: 'text',
+    text:
+      `✅ 入庫成功\n編號：${skuDisplay(skuLast)}\n倉別：${snapAfter.warehouseLabel}\n` +
+      `入庫：${result.inBox}箱 ${result.inPiece}件\n入庫前：${snapBefore.box}箱${snapBefore.piece}散\n` +
+      `👉目前庫存：${snapAfter.box}箱${snapAfter.piece}散`,
+  });
+
+  try {
+    const payload = buildGasLogPayload({
+      branch,
+      sku: skuLast,
+      name: result.productName,
+      snapAfter,
+      unitPrice: snapAfter.unitPricePiece || result.unitPricePiece,
+      inBox: result.inBox,
+      inPiece: result.inPiece,
+    });
+    emitInventoryEvent(payload).catch((e) => console.warn('[SINK FIRE-AND-FORGET ERROR]', e?.message || e));
+  } catch (e) {
+    console.warn('[GAS PAYLOAD ERROR]', e?.message || e);
+  }
+}
+
+/* ======== 調撥（倉到倉，單一交易） ======== */
+async function handleTransfer({ event, branch, role, lineUserId, parsed }) {
+  const box = parsed.box || 0;
+  const piece = parsed.piece || 0;
+  if (box === 0 && piece === 0) return;
+
+  if (!(await tryAcquireOutLock(lineUserId, branch))) {
+    await replyOrPush(event, { type: 'text', text: '⚠️ 調撥處理中，請稍後再試一次（5 秒內）' });
+    return;
+  }
+
+  const skuLast = await getLastSku(lineUserId, branch);
+  if (!skuLast) {
+    await replyOrPush(event, { type: 'text', text: '請先用「查 商品」或「編號」選定「有庫存」商品後再調撥。' });
+    return;
+  }
+
+  // 調出/調入倉都必須是已知倉別；打錯字不能把庫存搬到不存在的倉
+  const toWhCode = await findKnownWarehouseCode(parsed.to);
+  if (!toWhCode) {
+    await replyOrPush(event, { type: 'text', text: `找不到調入倉庫「${parsed.to}」，請確認倉別名稱` });
+    return;
+  }
+
+  let fromWhCode = null;
+  if (parsed.from) {
+    fromWhCode = await findKnownWarehouseCode(parsed.from);
+    if (!fromWhCode) {
+      await replyOrPush(event, { type: 'text', text: `找不到調出倉庫「${parsed.from}」，請確認倉別名稱` });
+      return;
+    }
+  } else {
+    const whList = (await getWarehouseStockBySku(branch, skuLast)).filter((w) => w.warehouseCode !== toWhCode);
+    if (!whList.length) {
+      await replyOrPush(event, { type: 'text', text: '沒有其他倉庫有庫存，無法調撥。' });
+      return;
+    }
+    const lastWhCode = await getLastWarehouse(lineUserId, branch, skuLast);
+    const matched = lastWhCode && whList.find((w) => w.warehouseCode === lastWhCode);
+    if (matched) {
+      fromWhCode = matched.warehouseCode;
+    } else if (whList.length === 1) {
+      fromWhCode = whList[0].warehouseCode;
+    } else {
+      await replyOrPush(event, {
+        type: 'text',
+        text: '請選擇調出的倉庫',
+        quickReply: buildQuickReplyForWarehouses('調', whList, box, piece, ` > ${await resolveWarehouseLabel(toWhCode)}`),
       });
       return;
     }
   }
 
-  // postback（點倉庫）
-  if (event.type === 'postback') {
-    const pb = parsePostback(event?.postback?.data);
-    if (!pb) return;
+  if (fromWhCode === toWhCode) {
+    await replyOrPush(event, { type: 'text', text: '調出與調入倉庫相同，無法調撥。' });
+    return;
+  }
+  if (!(await ensurePermission(event, role, 'transfer', fromWhCode))) return;
+  if (!(await ensurePermission(event, role, 'transfer', toWhCode))) return;
+
+  // 調撥前 requery 來源倉
+  const snapBefore = await getWarehouseSnapshot(branch, skuLast, fromWhCode);
+  if ((box > 0 && snapBefore.box < box) || (piece > 0 && snapBefore.piece < piece)) {
+    await replyOrPush(event, {
+      type: 'text',
+      text: `庫存不足，無法調撥（倉別：${snapBefore.warehouseLabel}）\n目前庫存：${snapBefore.box}箱${snapBefore.piece}散`,
+    });
+    return;
+  }
+
+  let result;
+  try {
+    result = await callTransferOnceTx({
+      branch,
+      sku: skuLast,
+      box,
+      piece,
+      fromWarehouseCode: fromWhCode,
+      toWarehouseCode: toWhCode,
+      lineUserId,
+    });
+  } catch (err) {
+    console.error('[transfer_and_log ERROR]', err);
+    await replyOrPush(event, { type: 'text', text: `操作失敗：${err?.message || '未知錯誤'}` });
+    return;
+  }
+
+  await setLastWarehouse(lineUserId, branch, fromWhCode, skuLast);
+  invalidateTodayStockRows(branch);
+  const [snapFrom, snapTo] = await Promise.all([
+    getWarehouseSnapshot(branch, skuLast, fromWhCode),
+    getWarehouseSnapshot(branch, skuLast, toWhCode),
+  ]);
+
+  checkLowStockAfterOut({ branch, sku: skuLast, name: result.productName });
+
+  await replyOrPush(event, {
+    type: 'text',
+    text:
+      `✅ 調撥成功\n編號：${skuDisplay(skuLast)}\n調撥：${result.box}箱 ${result.piece}件\n` +
+      `${snapFrom.warehouseLabel} → ${snapTo.warehouseLabel}\n` +
+      `👉${snapFrom.warehouseLabel}：${snapFrom.box}箱${snapFrom.piece}散\n` +
+      `👉${snapTo.warehouseLabel}：${snapTo.box}箱${snapTo.piece}散`,
+  });
+
+  try {
+    const payload = buildGasTransferPayload({
+      branch,
+      sku: skuLast,
+      name: result.productName,
+      box: result.box,
+      piece: result.piece,
+      unitPrice: snapFrom.unitPricePiece || result.unitPricePiece,
+      snapFrom,
+      snapTo,
+    });
+    emitInventoryEvent(payload).catch((e) => console.warn('[SINK FIRE-AND-FORGET ERROR]', e?.message || e));
+  } catch (e) {
+    console.warn('[GAS PAYLOAD ERROR]', e?.message || e);
+  }
+}
+
+/* ======== 跨分店比較（使用者可用的所有分店） ======== */
+async function handleCrossBranchQuery({ event, branches, keyword }) {
+  const perBranch = await Promise.all(
+    branches.map(async (b) => {
+      const [list, rows] = await Promise.all([searchByNameInStock(keyword, b), getTodayStockRows(b)]);
+      const totals = new Map(); // sku -> { box, piece }
+      for (const r of rows) {
+        const sku = skuKey(r.product_sku || r['貨品編號']);
+        const cur = totals.get(sku) || { box: 0, piece: 0 };
+        cur.box += pickNum(r['庫存箱數'] ?? 0, 0);
+        cur.piece += pickNum(r['庫存散數'] ?? 0, 0);
+        totals.set(sku, cur);
+      }
+      return { branch: b, list, totals };
+    }),
+  );
+
+  // 各分店命中合併後取前 5（依相關度）
+  const merged = new Map();
+  for (const { list } of perBranch) {
+    for (const p of list) {
+      if (!merged.has(p.sku) || merged.get(p.sku).score < p.score) merged.set(p.sku, p);
+    }
+  }
+  const top = sortProductsStable([...merged.values()]).slice(0, 5);
+  if (!top.length) {
+    await replyOrPush(event, { type: 'text', text: `所有分店皆無「${keyword}」的庫存` });
+    return;
+  }
+
+  const lines = [`🔎「${keyword}」跨分店庫存（${branches.length} 間）`];
+  for (const p of top) {
+    lines.push(`\n${p.name}（#${skuDisplay(p.sku)}）`);
+    for (const { branch, totals } of perBranch) {
+      const t = totals.get(p.sku);
+      lines.push(`・${branch}：${t && (t.box > 0 || t.piece > 0) ? `${t.box}箱${t.piece}散` : '—'}`);
+    }
+  }
+  if (merged.size > top.length) lines.push(`\n…共 ${merged.size} 項，請輸入更精確的關鍵字`);
+
+  await replyOrPush(event, { type: 'text', text: lines.join('\n').slice(0, 5000) });
+}
 
-    if (pb.type === 'wh_select_postback') {
-      const sku = pb.sku || getLastSku(lineUserId, branch);
-      if (!sku) {
-        await replyOrPush(event, { type: 'text', text: '請先選商品（查/編號）再選倉庫' });
-        return;
-      }
+/* ======== 帳號綁定（LINE userId ↔ auth user；只在 1:1 私訊） ======== */
+async function handleAccountLink({ event, lineUserId, parsed }) {
+  const reply = (text) => replyOrPush(event, { type: 'text', text });
+  if (!lineUserId) return;
 
-      const whCode = await getWarehouseCodeForLabel(pb.wh);
-      LAST_WAREHOUSE_CODE_BY_USER_BRANCH.set(`${lineUserId}::${branch}`, whCode);
+  if (parsed.action === 'status') {
+    const authUuid = await resolveAuthUuidFromLineUserId(lineUserId);
+    return reply(authUuid ? `✅ 已綁定帳號（${authUuid.slice(0, 8)}…）` : '尚未綁定帳號，請在 App 取得驗證碼後私訊「綁定 驗證碼」');
+  }
 
-      const snap = await getWarehouseSnapshot(branch, sku, whCode);
-      await replyOrPush(event, {
-        type: 'text',
-        text: `編號：${skuDisplay(sku)}\n倉庫類別：${snap.warehouseLabel}\n庫存：${snap.box}箱${snap.piece}散`,
-      });
-      return;
-    }
-    return;
+  if (event.source?.type !== 'user') return reply('為保護帳號，請私訊機器人進行綁定/解除綁定');
+
+  if (parsed.action === 'unlink') {
+    const { data, error } = await supabase.from('line_user_map').delete().eq('line_user_id', lineUserId).select('auth_user_id');
+    if (error) return reply(`解除綁定失敗：${error.message}`);
+    if (!data?.length) return reply('目前沒有綁定帳號');
+    await writeAdminAudit({ actor: lineUserId, action: 'unlink', target: lineUserId, before: data[0].auth_user_id });
+    return reply('✅ 已解除帳號綁定');
   }
 
-  if (event.type !== 'message' || event.message.type !== 'text') return;
+  // redeem
+  const now = Date.now();
+  const fails = await stateStore.get('link_fail', lineUserId);
+  if (fails && now - fails.firstAt < LINK_FAIL_WINDOW_MS && fails.count >= LINK_FAIL_MAX) {
+    return reply('驗證碼錯誤次數過多，請 10 分鐘後再試');
+  }
 
-  const text = event.message.text || '';
-  const parsed = parseCommand(text);
-  if (!parsed) return;
+  // redeem_line_link_code：驗證碼未過期且未使用 → 寫入 line_user_map 並作廢驗證碼（單一交易）
+  const { data, error } = await supabase.rpc('redeem_line_link_code', { p_code: parsed.code, p_line_user_id: lineUserId });
+  if (error) return reply(`綁定失敗：${error.message}`);
+  const row = Array.isArray(data) ? data[0] : data;
 
-  // 倉庫選擇（文字）
-  if (parsed.type === 'wh_select') {
-    const sku = getLastSku(lineUserId, branch);
-    if (!sku) {
-      await replyOrPush(event, { type: 'text', text: '請先選商品（查/編號）再選倉庫' });
-      return;
-    }
+  if (!row?.auth_user_id) {
+    const cur = fails && now - fails.firstAt < LINK_FAIL_WINDOW_MS ? fails : { count: 0, firstAt: now };
+    cur.count += 1;
+    await stateStore.set('link_fail', lineUserId, cur, LINK_FAIL_WINDOW_MS);
+    return reply(`驗證碼無效或已過期（剩餘 ${LINK_FAIL_MAX - cur.count} 次），請在 App 重新產生`);
+  }
 
-    const whCode = await getWarehouseCodeForLabel(parsed.warehouse);
-    LAST_WAREHOUSE_CODE_BY_USER_BRANCH.set(`${lineUserId}::${branch}`, whCode);
+  await stateStore.del('link_fail', lineUserId);
+  await writeAdminAudit({ actor: lineUserId, action: 'link', target: lineUserId, after: row.auth_user_id });
+  return reply(`✅ 帳號綁定成功${row.display_name ? `：${row.display_name}` : ''}`);
+}
 
-    const snap = await getWarehouseSnapshot(branch, sku, whCode);
-    await replyOrPush(event, {
-      type: 'text',
-      text: `編號：${skuDisplay(sku)}\n倉庫類別：${snap.warehouseLabel}\n庫存：${snap.box}箱${snap.piece}散`,
+/* ======== 管理指令（需 admin 權限；每次變更寫稽核） ======== */
+async function getDisplayName(event, userId) {
+  const src = event.source || {};
+  try {
+    const p =
+      src.type === 'group'
+        ? client.getGroupMemberProfile(src.groupId, userId)
+        : src.type === 'room'
+          ? client.getRoomMemberProfile(src.roomId, userId)
+          : client.getProfile(userId);
+    const timeout = new Promise((_, rej) => setTimeout(() => rej(new Error('LINE profile timeout')), LINE_TIMEOUT_MS));
+    const profile = await Promise.race([p, timeout]);
+    return profile?.displayName || userId.slice(0, 10);
+  } catch {
+    return `${userId.slice(0, 10)}…`;
+  }
+}
+
+async function handleAdminCommand({ event, branch, lineUserId, parsed }) {
+  const src = event.source || {};
+  const mentioned = (event.message?.mention?.mentionees || []).map((m) => m.userId).filter(Boolean);
+  const targets = [...new Set([...mentioned, ...parsed.userIds])];
+  const reply = (text) => replyOrPush(event, { type: 'text', text });
+
+  if (parsed.action === 'bind_group') {
+    if (src.type !== 'group') return reply('請在要綁定的群組內使用「綁定分店 分店名」');
+    if (!parsed.value) return reply('請輸入「綁定分店 分店名」');
+    const { data: before } = await supabase
+      .from('line_groups')
+      .select('群組')
+      .eq('line_group_id', src.groupId)
+      .maybeSingle();
+    const { error } = await supabase
+      .from('line_groups')
+      .upsert({ line_group_id: src.groupId, 群組: parsed.value }, { onConflict: 'line_group_id' });
+    if (error) return reply(`綁定失敗：${error.message}`);
+    await writeAdminAudit({
+      actor: lineUserId,
+      action: 'bind_group',
+      target: src.groupId,
+      before: before?.群組 ?? null,
+      after: parsed.value,
+      branch: parsed.value,
     });
-    return;
+    return reply(`✅ 此群組已綁定分店：${parsed.value}${before?.群組 ? `（原：${before.群組}）` : ''}`);
   }
 
-  // 查詢共用
-  const doQueryCommon = async (p) => {
-    const sku = skuKey(p.sku);
-    const whList = await getWarehouseStockBySku(branch, sku);
-    if (!whList.length) {
-      await replyOrPush(event, { type: 'text', text: '無此商品庫存' });
-      return;
+  if (parsed.action === 'members') {
+    const { data, error } = await supabase
+      .from('users')
+      .select('user_id, 角色, 黑名單')
+      .eq('群組', branch)
+      .limit(50);
+    if (error) return reply(`查詢失敗：${error.message}`);
+    const lines = [];
+    for (const u of data || []) {
+      lines.push(`・${await getDisplayName(event, u.user_id)}｜${normalizeRole(u.角色)}${u.黑名單 ? '｜⛔黑名單' : ''}`);
+    }
+    return reply(`👥 ${branch} 成員（${lines.length}）\n${lines.join('\n') || '（無）'}`.slice(0, 5000));
+  }
+
+  // GAS 同步：只看 / 只重送本分店
+  if (parsed.action === 'outbox_list') {
+    try {
+      const counts = await countOutbox(branch);
+      const dead = await listOutbox({ status: 'dead', group: branch, limit: 10 });
+      const lines = [`🔄 外部同步（${branch}）`, `待送：${counts.pending} 筆／失敗：${counts.dead} 筆`];
+      for (const r of dead) {
+        const p = r.payload || {};
+        lines.push(
+          `・#${r.id} ${r.sink || 'gas'} ${formatTpe(r.created_at)} ${p.type || ''} ${p.sku || ''}｜${r.attempts} 次｜${String(r.last_error || '').slice(0, 60)}`,
+        );
+      }
+      if (counts.dead) lines.push('重送：同步重送 全部（或 同步重送 編號）');
+      return reply(lines.join('\n').slice(0, 5000));
+    } catch (e) {
+      return reply(`查詢失敗：${e?.message || e}`);
     }
+  }
 
-    setLastSku(lineUserId, branch, sku);
+  if (parsed.action === 'outbox_replay') {
+    const ids = parsed.value && parsed.value !== '全部' ? [Number(parsed.value.replace(/^#/, ''))].filter(Boolean) : [];
+    if (parsed.value && parsed.value !== '全部' && !ids.length) return reply('請輸入「同步重送 全部」或「同步重送 編號」');
+    try {
+      const n = await replayOutbox({ ids, group: branch });
+      await writeAdminAudit({ actor: lineUserId, action: 'outbox_replay', target: ids.join(',') || 'all', after: n, branch });
+      return reply(n ? `✅ 已重新排入 ${n} 筆，背景重送中` : '沒有可重送的失敗紀錄');
+    } catch (e) {
+      return reply(`重送失敗：${e?.message || e}`);
+    }
+  }
 
-    if (whList.length >= 2) {
-      await replyOrPush(event, {
-        type: 'text',
-        text: `名稱：${p.name}\n編號：${skuDisplay(sku)}\n👉請選擇倉庫`,
-        quickReply: buildQuickReplyForWarehousesForQuery(whList),
-      });
-      return;
+  if (!targets.length) return reply('請 @提及 對象（或貼上 LINE userId）');
+
+  let field;
+  let value;
+  if (parsed.action === 'set_branch') {
+    if (!parsed.value) return reply('請輸入「設定分店 分店名 @對象」');
+    // 只能設成已綁定群組的分店（打錯字會讓對象查不到任何庫存）
+    const { data: groups, error } = await supabase.from('line_groups').select('群組');
+    if (error) return reply(`查詢分店失敗：${error.message}`);
+    const known = [...new Set((groups || []).map((r) => String(r.群組 || '').trim()).filter(Boolean))];
+    const match = known.find((b) => b.toLowerCase() === parsed.value.toLowerCase());
+    if (!match) return reply(`找不到分店「${parsed.value}」，可用分店：${known.join('、') || '（無）'}`);
+    field = '群組';
+    value = match;
+  } else if (parsed.action === 'set_role') {
+    const roles = [...(await getRolePermissions()).keys()];
+    if (!parsed.value || !roles.includes(normalizeRole(parsed.value))) {
+      return reply(`請輸入「設定角色 角色 @對象」，可用角色：${roles.join('、')}`);
     }
+    field = '角色';
+    value = normalizeRole(parsed.value);
+  } else {
+    if (parsed.action === 'blacklist' && targets.includes(lineUserId)) return reply('不能將自己加入黑名單');
+    field = '黑名單';
+    value = parsed.action === 'blacklist';
+  }
 
-    const chosen = whList[0];
-    LAST_WAREHOUSE_CODE_BY_USER_BRANCH.set(`${lineUserId}::${branch}`, chosen.warehouseCode);
+  const done = [];
+  for (const uid of targets) {
+    const { data: before } = await supabase.from('users').select('user_id, 群組, 角色, 黑名單').eq('user_id', uid).maybeSingle();
+    const { error } = before
+      ? await supabase.from('users').update({ [field]: value }).eq('user_id', uid)
+      : await supabase
+          .from('users')
+          .insert({ user_id: uid, 群組: branch, 角色: 'user', 黑名單: false, [field]: value });
+    if (error) {
+      done.push(`❌ ${await getDisplayName(event, uid)}：${error.message}`);
+      continue;
+    }
+    await writeAdminAudit({
+      actor: lineUserId,
+      action: parsed.action,
+      target: uid,
+      before: before ? String(before[field]) : null,
+      after: String(value),
+      branch,
+    });
+    done.push(`✅ ${await getDisplayName(event, uid)}：${field} ${before ? `${before[field]} → ` : ''}${value}`);
+  }
+  return reply(done.join('\n'));
+}
 
-    await replyOrPush(event, {
-      type: 'text',
-      text:
-        `名稱：${p.name}\n編號：${skuDisplay(sku)}\n箱入數：${p.unitsPerBox}\n單價：${p.price}\n` +
-        `倉庫類別：${chosen.warehouseLabel}\n庫存：${chosen.box}箱${chosen.piece}散`,
+/* ======== 盤點（每分店每倉一場；表頭 stocktake + 每品項 stocktake_count） ======== */
+async function loadStocktakeCounts(session) {
+  const rows = await stateStore.list('stocktake_count', `${session.branch}::${session.warehouseCode}::`);
+  const counts = {};
+  for (const r of rows) counts[r.key.split('::').pop()] = r.value;
+  return { ...session, counts };
+}
+
+async function findStocktakeSession(branch, warehouse) {
+  if (warehouse) {
+    const whCode = await getWarehouseCodeForLabel(warehouse);
+    const session = await stateStore.get('stocktake', `${branch}::${whCode}`);
+    return session ? loadStocktakeCounts(session) : null;
+  }
+  // 未指定倉：該分店只有一場時直接用
+  const list = (await stateStore.list('stocktake', `${branch}::`)).filter((x) => x.value.branch === branch);
+  return list.length === 1 ? loadStocktakeCounts(list[0].value) : null;
+}
+
+async function clearStocktakeCounts(session) {
+  for (const sku of Object.keys(session.counts)) {
+    await stateStore.del('stocktake_count', `${session.branch}::${session.warehouseCode}::${sku}`);
+  }
+}
+
+/* 以最新快照計算每個已盤品項的差異 */
+async function computeStocktakeVariances(session) {
+  const out = [];
+  for (const [sku, c] of Object.entries(session.counts)) {
+    const snap = await getWarehouseSnapshot(session.branch, sku, session.warehouseCode);
+    const upb = snap.unitsPerBox || 1;
+    const diffPieces = c.box * upb + c.piece - (snap.box * upb + snap.piece);
+    out.push({
+      sku,
+      name: c.name || sku,
+      countedBox: c.box,
+      countedPiece: c.piece,
+      systemBox: snap.box,
+      systemPiece: snap.piece,
+      diffBox: c.box - snap.box,
+      diffPiece: c.piece - snap.piece,
+      diffPieces,
+      diffAmount: diffPieces * (snap.unitPricePiece || 0),
     });
-  };
+  }
+  return out;
+}
 
-  // 查 關鍵字
-  if (parsed.type === 'query') {
-    const list = await searchByNameInStock(parsed.keyword, branch);
-    if (!list.length) {
-      await replyOrPush(event, { type: 'text', text: '無此商品庫存' });
-      return;
-    }
+const signed = (n) => (n > 0 ? `+${n}` : `${n}`);
 
-    if (list.length > 1) {
-      await replyOrPush(event, {
-        type: 'text',
-        text: `找到以下與「${parsed.keyword}」相關的庫存品項`,
-        quickReply: buildQuickReplyForProducts(list),
-      });
+function formatVarianceLine(v) {
+  return (
+    `・${v.name}（#${skuDisplay(v.sku)}）實盤 ${v.countedBox}箱${v.countedPiece}散／系統 ${v.systemBox}箱${v.systemPiece}散` +
+    `｜差異 ${signed(v.diffBox)}箱${signed(v.diffPiece)}散（$${fmtMoney(v.diffAmount)}）`
+  );
+}
+
+async function handleStocktake({ event, branch, role, lineUserId, parsed }) {
+  if (parsed.action === 'start') {
+    const whCode = await getWarehouseCodeForLabel(parsed.warehouse);
+    const key = `${branch}::${whCode}`;
+    const warehouseLabel = await resolveWarehouseLabel(whCode);
+    const created = await stateStore.setIfAbsent(
+      'stocktake',
+      key,
+      { branch, warehouseCode: whCode, warehouseLabel, startedBy: lineUserId, startedAt: new Date().toISOString() },
+      STOCKTAKE_TTL_MS,
+    );
+    if (!created) {
+      await replyOrPush(event, { type: 'text', text: '此倉庫已在盤點中，請先「盤點 確認」或「盤點 取消」' });
       return;
     }
+    await replyOrPush(event, {
+      type: 'text',
+      text:
+        `📝 開始盤點：${warehouseLabel}\n請回報實盤數量，例如：\n盤 #A001 3箱 2件\n（已選定商品可省略編號：盤 3箱2件）\n` +
+        `查看差異：盤點 狀態\n主管確認過帳：盤點 確認`,
+    });
+    return;
+  }
 
-    await doQueryCommon(list[0]);
+  const session = await findStocktakeSession(branch, parsed.warehouse);
+  if (!session) {
+    await replyOrPush(event, {
+      type: 'text',
+      text: parsed.warehouse ? '此倉庫沒有進行中的盤點' : '沒有進行中的盤點（或有多場，請加 @倉庫）',
+    });
     return;
   }
+  const key = `${branch}::${session.warehouseCode}`;
+  if (!(await ensurePermission(event, role, permissionForCommand(parsed), session.warehouseCode))) return;
 
-  // 編號 / #
-  if (parsed.type === 'sku') {
-    const list = await searchBySkuInStock(parsed.sku, branch);
-    if (!list.length) {
-      await replyOrPush(event, { type: 'text', text: '無此商品庫存' });
+  if (parsed.action === 'count') {
+    const sku = parsed.sku || (await getLastSku(lineUserId, branch));
+    if (!sku) {
+      await replyOrPush(event, { type: 'text', text: '請輸入「盤 #編號 N箱 N件」，或先用「查/編號」選定商品' });
       return;
     }
+    const snap = await getWarehouseSnapshot(branch, sku, session.warehouseCode);
+    const name = (await findStockProductBySku(sku, branch))?.name || '';
+    session.counts[skuKey(sku)] = { box: parsed.box, piece: parsed.piece, name, by: lineUserId, at: new Date().toISOString() };
+    await stateStore.set('stocktake_count', `${key}::${skuKey(sku)}`, session.counts[skuKey(sku)], STOCKTAKE_TTL_MS);
+    await setLastSku(lineUserId, branch, sku);
 
-    if (list.length > 1) {
-      await replyOrPush(event, {
-        type: 'text',
-        text: `找到以下與「${parsed.sku}」相關的庫存品項`,
-        quickReply: buildQuickReplyForProducts(list),
-      });
-      return;
-    }
+    await replyOrPush(event, {
+      type: 'text',
+      text:
+        `已記錄（${session.warehouseLabel}）${name ? `${name} ` : ''}#${skuDisplay(sku)}\n` +
+        `實盤：${parsed.box}箱${parsed.piece}散／系統：${snap.box}箱${snap.piece}散\n` +
+        `差異：${signed(parsed.box - snap.box)}箱${signed(parsed.piece - snap.piece)}散\n` +
+        `已盤 ${Object.keys(session.counts).length} 項`,
+    });
+    return;
+  }
 
-    await doQueryCommon(list[0]);
+  if (parsed.action === 'status') {
+    const variances = await computeStocktakeVariances(session);
+    const diffs = variances.filter((v) => v.diffPieces !== 0);
+    const total = diffs.reduce((a, v) => a + v.diffAmount, 0);
+    await replyOrPush(event, {
+      type: 'text',
+      text: [
+        `📝 盤點中：${session.warehouseLabel}（開始 ${formatTpe(session.startedAt)}）`,
+        `已盤 ${variances.length} 項，有差異 ${diffs.length} 項，差異金額 $${fmtMoney(total)}`,
+        ...diffs.map(formatVarianceLine),
+      ]
+        .join('\n')
+        .slice(0, 5000),
+    });
     return;
   }
 
-  // 入/出庫
-  if (parsed.type === 'change') {
-    if (parsed.action === 'in') {
-      if (role !== '主管') {
-        await replyOrPush(event, { type: 'text', text: '您無法使用「入庫」' });
-        return;
-      }
-      await replyOrPush(event, { type: 'text', text: '入庫請改用 App 進行；LINE 僅提供出庫' });
-      return;
-    }
+  if (parsed.action === 'cancel') {
+    await stateStore.del('stocktake', key);
+    await clearStocktakeCounts(session);
+    await replyOrPush(event, { type: 'text', text: `已取消盤點：${session.warehouseLabel}（未過帳）` });
+    return;
+  }
 
-    // ✅ 只有出庫才鎖 5 秒（同 user + branch）
-    const lockKey = `${lineUserId || 'no_user'}::${branch}`;
-    const now = Date.now();
-    const until = OUT_LOCK.get(lockKey) || 0;
-    if (now < until) {
-      await replyOrPush(event, { type: 'text', text: '⚠️ 出庫處理中，請稍後再試一次（5 秒內）' });
+  // approve：以最新快照重算差異，只過帳有差異的品項
+  if (!(await tryAcquireOutLock(lineUserId, branch))) {
+    await replyOrPush(event, { type: 'text', text: '⚠️ 處理中，請稍後再試一次（5 秒內）' });
+    return;
+  }
+  // 先認領表頭（兩位主管同時確認只會過帳一次），失敗再放回
+  if (!(await stateStore.del('stocktake', key))) {
+    await replyOrPush(event, { type: 'text', text: '此盤點已被確認或取消' });
+    return;
+  }
+  const variances = await computeStocktakeVariances(session);
+  const diffs = variances.filter((v) => v.diffPieces !== 0);
+
+  if (diffs.length) {
+    try {
+      await callStocktakePostTx({ branch, warehouseCode: session.warehouseCode, items: diffs, lineUserId });
+    } catch (err) {
+      console.error('[post_stocktake_adjustments ERROR]', err);
+      const header = { ...session };
+      delete header.counts;
+      await stateStore.set('stocktake', key, header, STOCKTAKE_TTL_MS);
+      await replyOrPush(event, { type: 'text', text: `過帳失敗（盤點保留）：${err?.message || '未知錯誤'}` });
       return;
     }
-    OUT_LOCK.set(lockKey, now + OUT_LOCK_MS);
+    invalidateTodayStockRows(branch);
+  }
+  await clearStocktakeCounts(session);
+
+  const total = diffs.reduce((a, v) => a + v.diffAmount, 0);
+  await replyOrPush(event, {
+    type: 'text',
+    text: [
+      `✅ 盤點過帳完成：${session.warehouseLabel}`,
+      `已盤 ${variances.length} 項，調整 ${diffs.length} 項，差異金額 $${fmtMoney(total)}`,
+      ...diffs.map(formatVarianceLine),
+    ]
+      .join('\n')
+      .slice(0, 5000),
+  });
 
-    try {
-      const outBox = parsed.box || 0;
-      const outPiece = parsed.piece || 0;
-      if (outBox === 0 && outPiece === 0) return;
+  try {
+    const payload = {
+      type: 'stocktake',
+      group: String(branch || '').trim().toLowerCase(),
+      warehouse: session.warehouseLabel,
+      warehouse_code: session.warehouseCode,
+      started_at: session.startedAt,
+      approved_at: tpeNowISO(),
+      counted_items: variances.length,
+      adjusted_items: diffs.length,
+      total_diff_amount: total,
+      items: variances.map((v) => ({
+        sku: skuDisplay(v.sku),
+        name: v.name,
+        system_box: v.systemBox,
+        system_piece: v.systemPiece,
+        counted_box: v.countedBox,
+        counted_piece: v.countedPiece,
+        diff_box: v.diffBox,
+        diff_piece: v.diffPiece,
+        diff_amount: v.diffAmount,
+      })),
+      bot_ver: BOT_VER,
+      db_host: SUPA_HOST,
+      biz_date_0500: getBizDate0500TPE(),
+    };
+    emitInventoryEvent(payload).catch((e) => console.warn('[SINK FIRE-AND-FORGET ERROR]', e?.message || e));
+  } catch (e) {
+    console.warn('[GAS PAYLOAD ERROR]', e?.message || e);
+  }
+}
 
-      const skuLast = getLastSku(lineUserId, branch);
-      if (!skuLast) {
-        await replyOrPush(event, { type: 'text', text: '請先用「查 商品」或「編號」選定「有庫存」商品後再出庫。' });
-        return;
-      }
+/* ======== 異動歷史（分頁） ======== */
+async function replySkuHistory({ event, branch, sku, offset }) {
+  const { rows, hasMore } = await getSkuMovements(branch, sku, offset);
+  if (!rows.length) {
+    await replyOrPush(event, {
+      type: 'text',
+      text: offset > 0 ? '沒有更早的異動紀錄' : `編號 ${skuDisplay(sku)} 沒有異動紀錄`,
+    });
+    return;
+  }
 
-      const whList = await getWarehouseStockBySku(branch, skuLast);
-      if (!whList.length) {
-        await replyOrPush(event, { type: 'text', text: '所有倉庫皆無庫存，無法出庫。' });
-        return;
-      }
+  const name = rows[0].product_name || (await findStockProductBySku(sku, branch))?.name || '';
+  const lines = [];
+  for (const r of rows) {
+    const inBox = pickNum(r.in_box, 0);
+    const inPiece = pickNum(r.in_piece, 0);
+    const outBox = pickNum(r.out_box, 0);
+    const outPiece = pickNum(r.out_piece, 0);
+    const qty = inBox || inPiece ? `+${inBox}箱${inPiece}件` : `-${outBox}箱${outPiece}件`;
+    lines.push(
+      `${formatTpe(r.created_at)}｜${MOVEMENT_KIND_LABEL[r.kind] || r.kind || '異動'}｜` +
+        `${await resolveWarehouseLabel(r.warehouse_code)}｜${qty}｜餘 ${pickNum(r.balance_box, 0)}箱${pickNum(
+          r.balance_piece,
+          0,
+        )}散｜${r.operator_name || '未知'}`,
+    );
+  }
 
-      const lastWhKey = `${lineUserId || ''}::${branch}`;
-      const lastWhCode = LAST_WAREHOUSE_CODE_BY_USER_BRANCH.get(lastWhKey) || null;
+  const nav = (label, o) => ({
+    type: 'action',
+    action: {
+      type: 'postback',
+      label,
+      data: new URLSearchParams({ a: 'hist', sku, o: String(o) }).toString(),
+      displayText: label,
+    },
+  });
+  const items = [];
+  if (offset > 0) items.push(nav('◀ 較新', Math.max(0, offset - HISTORY_PAGE_SIZE)));
+  if (hasMore) items.push(nav('較舊 ▶', offset + HISTORY_PAGE_SIZE));
+
+  await replyOrPush(event, {
+    type: 'text',
+    text:
+      `🧾 ${name ? `${name} ` : ''}#${skuDisplay(sku)} 異動紀錄（第 ${offset + 1}-${offset + rows.length} 筆）\n` +
+      lines.join('\n'),
+    ...(items.length ? { quickReply: { items } } : {}),
+  });
+}
 
-      let chosenWhCode = null;
-      if (parsed.warehouse) {
-        chosenWhCode = await getWarehouseCodeForLabel(parsed.warehouse);
-      } else if (lastWhCode) {
-        const matched = whList.find((w) => w.warehouseCode === lastWhCode);
-        if (matched) chosenWhCode = matched.warehouseCode;
-      }
+/* ======== 出庫報表（依品項 / 依人員） ======== */
+async function handleOutReport({ event, branch, parsed }) {
+  const bizDate = parsed.date || getBizDate0500TPE();
+  const whCode = parsed.warehouse ? await getWarehouseCodeForLabel(parsed.warehouse) : null;
+  const whLabel = whCode ? await resolveWarehouseLabel(whCode) : '全部倉庫';
 
-      if (!chosenWhCode) {
-        if (whList.length >= 2) {
-          await replyOrPush(event, {
-            type: 'text',
-            text: '請選擇要出庫的倉庫',
-            quickReply: buildQuickReplyForWarehouses('出', whList, outBox, outPiece),
-          });
-          return;
-        }
-        chosenWhCode = whList[0].warehouseCode;
-      }
+  const rows = await getOutLogRows(branch, bizDate, whCode);
+  if (!rows.length) {
+    await replyOrPush(event, { type: 'text', text: `${bizDate}（${whLabel}）沒有出庫紀錄` });
+    return;
+  }
 
-      LAST_WAREHOUSE_CODE_BY_USER_BRANCH.set(lastWhKey, chosenWhCode);
+  const sum = aggregateOutRows(rows, () => 'all')[0];
+  const bySku = aggregateOutRows(rows, (r) => r.sku).sort((a, b) => b.amount - a.amount || b.pieces - a.pieces);
+  const byOp = aggregateOutRows(rows, (r) => r.operator).sort((a, b) => b.amount - a.amount);
+  const countByOp = rows.reduce((m, r) => m.set(r.operator, (m.get(r.operator) || 0) + 1), new Map());
+
+  const maxSkuLines = 30;
+  const lines = [
+    `📋 出庫報表 ${bizDate}（${whLabel}）`,
+    `分店：${branch}`,
+    `合計：${rows.length} 筆｜${sum.box}箱 ${sum.piece}件｜$${fmtMoney(sum.amount)}`,
+    '\n【依品項】',
+    ...bySku.slice(0, maxSkuLines).map((x) => `・${x.name}（#${skuDisplay(x.key)}）${x.box}箱${x.piece}件｜$${fmtMoney(x.amount)}`),
+    ...(bySku.length > maxSkuLines ? [`…其餘 ${bySku.length - maxSkuLines} 項略`] : []),
+    '\n【依人員】',
+    ...byOp.map((x) => `・${x.key}：${countByOp.get(x.key)} 筆｜${x.box}箱${x.piece}件｜$${fmtMoney(x.amount)}`),
+  ];
+
+  await replyOrPush(event, { type: 'text', text: lines.join('\n').slice(0, 5000) });
+}
 
-      // 出庫前 requery
-      const snapBefore = await getWarehouseSnapshot(branch, skuLast, chosenWhCode);
-      const curBox = snapBefore.box || 0;
-      const curPiece = snapBefore.piece || 0;
+/* ======== 撤銷（本人最後一筆出庫，限視窗內） ======== */
+async function handleUndoLastOut({ event, branch, role, lineUserId }) {
+  if (!(await tryAcquireOutLock(lineUserId, branch))) {
+    await replyOrPush(event, { type: 'text', text: '⚠️ 出庫處理中，請稍後再試一次（5 秒內）' });
+    return;
+  }
 
-      if (outBox > 0 && curBox < outBox) {
-        await replyOrPush(event, {
-          type: 'text',
-          text: `庫存不足，無法出庫（倉別：${snapBefore.warehouseLabel}）\n目前庫存：${curBox}箱${curPiece}散`,
-        });
-        return;
-      }
-      if (outPiece > 0 && curPiece < outPiece) {
-        await replyOrPush(event, {
-          type: 'text',
-          text: `庫存不足，無法出庫（倉別：${snapBefore.warehouseLabel}）\n目前庫存：${curBox}箱${curPiece}散`,
-        });
-        return;
-      }
+  let undone;
+  try {
+    // 先找出要撤銷的那筆，依其倉別檢查限倉權限，再撤同一筆
+    const target = await callUndoLastOutTx({ branch, lineUserId, dryRun: true });
+    if (target && !(await ensurePermission(event, role, 'undo', target.warehouseCode))) return;
+    undone = target ? await callUndoLastOutTx({ branch, lineUserId, logId: target.logId }) : null;
+  } catch (err) {
+    console.error('[undo_last_out ERROR]', err);
+    await replyOrPush(event, { type: 'text', text: `操作失敗：${err?.message || '未知錯誤'}` });
+    return;
+  }
 
-      // 出庫交易
-      let result;
-      try {
-        result = await callOutOnceTx({
-          branch,
-          sku: skuLast,
-          outBox,
-          outPiece,
-          warehouseCode: chosenWhCode,
-          lineUserId,
-        });
-      } catch (err) {
-        console.error('[fifo_out_and_log ERROR]', err);
-        await replyOrPush(event, { type: 'text', text: `操作失敗：${err?.message || '未知錯誤'}` });
-        return;
-      }
+  if (!undone) {
+    const windowMin = pickNum(UNDO_WINDOW_MINUTES, 0);
+    await replyOrPush(event, {
+      type: 'text',
+      text: `找不到可撤銷的出庫紀錄（限本營業日${windowMin > 0 ? `、${windowMin} 分鐘內` : ''}本人的出庫）`,
+    });
+    return;
+  }
 
-      // 出庫後再查一次
-      const snapAfter = await getWarehouseSnapshot(branch, skuLast, chosenWhCode);
-      const whLabel = snapAfter.warehouseLabel;
+  // 撤銷後直接選定該商品/倉庫，方便重新出庫正確數量
+  await setLastSku(lineUserId, branch, undone.sku);
+  await setLastWarehouse(lineUserId, branch, undone.warehouseCode, undone.sku);
 
-      await replyOrPush(event, {
-        type: 'text',
-        text:
-          `✅ 出庫成功\n編號：${skuDisplay(skuLast)}\n倉別：${whLabel}\n出庫：${Number(result.outBox || outBox)}箱 ${Number(
-            result.outPiece || outPiece,
-          )}件\n👉目前庫存：${snapAfter.box}箱${snapAfter.piece}散`,
-      });
+  invalidateTodayStockRows(branch);
+  const snapAfter = await getWarehouseSnapshot(branch, undone.sku, undone.warehouseCode);
 
-      // 推送 GAS（不影響回覆速度）
-      try {
-        const outAmountForGas =
-          (Number(result.outBox || outBox) * snapAfter.unitsPerBox + Number(result.outPiece || outPiece)) *
-          Number(snapAfter.unitPricePiece || result.unitPricePiece || 0);
-
-        const payload = {
-          type: 'log',
-          group: String(branch || '').trim().toLowerCase(),
-          sku: skuDisplay(skuLast),
-          name: result.productName,
-          units_per_box: snapAfter.unitsPerBox,
-          unit_price: Number(snapAfter.unitPricePiece || result.unitPricePiece || 0),
-          in_box: 0,
-          in_piece: 0,
-          out_box: Number(result.outBox || outBox),
-          out_piece: Number(result.outPiece || outPiece),
-          stock_box: Number(snapAfter.box || 0),
-          stock_piece: Number(snapAfter.piece || 0),
-          out_amount: outAmountForGas,
-          stock_amount: Number(snapAfter.stockAmount || 0),
-          warehouse: whLabel,
-          warehouse_code: chosenWhCode,
-          created_at: tpeNowISO(),
-          bot_ver: BOT_VER,
-          db_host: SUPA_HOST,
-          biz_date_0500: getBizDate0500TPE(),
-        };
-
-        postInventoryToGAS(payload).catch((e) => console.warn('[GAS FIRE-AND-FORGET ERROR]', e?.message || e));
-      } catch (e) {
-        console.warn('[GAS PAYLOAD ERROR]', e?.message || e);
-      }
-    } finally {
-      // lock 保留 5 秒自然過期，不主動解除（防重送/併發）
-    }
+  await replyOrPush(event, {
+    type: 'text',
+    text:
+      `↩️ 已撤銷出庫\n名稱：${undone.productName}\n編號：${skuDisplay(undone.sku)}\n倉別：${snapAfter.warehouseLabel}\n` +
+      `撤銷：${undone.outBox}箱 ${undone.outPiece}件\n👉目前庫存：${snapAfter.box}箱${snapAfter.piece}散`,
+  });
 
-    return;
+  // 回沖列：出庫數量取負值，試算表加總自然抵銷
+  try {
+    const payload = {
+      ...buildGasLogPayload({
+        branch,
+        sku: undone.sku,
+        name: undone.productName,
+        snapAfter,
+        unitPrice: snapAfter.unitPricePiece || undone.unitPricePiece,
+        outBox: -undone.outBox,
+        outPiece: -undone.outPiece,
+      }),
+      action: 'undo',
+      reverse_of: undone.logId,
+    };
+    emitInventoryEvent(payload).catch((e) => console.warn('[SINK FIRE-AND-FORGET ERROR]', e?.message || e));
+  } catch (e) {
+    console.warn('[GAS PAYLOAD ERROR]', e?.message || e);
   }
 }
 
 /* ======== Start server ======== */
-app.listen(PORT, () => {
-  console.log(`伺服器已啟動：${PORT} 版本=${BOT_VER} 資料庫主機=${SUPA_HOST}`);
-});
+// BOT_NO_LISTEN=1（單元測試）時只載入，測試取下方匯出的純函式
+if (BOT_NO_LISTEN !== '1') {
+  app.listen(PORT, () => {
+    console.log(`伺服器已啟動：${PORT} 版本=${BOT_VER} 資料庫主機=${SUPA_HOST}`);
+    startLowStockSweep();
+    startDailySummaryScheduler();
+    startOutboxWorker();
+    startReconcileScheduler();
+  });
+}
+
+export {
+  ApiError,
+  outboxBackoffMs,
+  parseBatchOutLines,
+  parseCommand,
+  parseCsv,
+  parsePostback,
+  resolveApiBranch,
+  sendApiError,
+  signGasBody,
+  skuMatchKey,
+};
@@ -0,0 +1,13 @@
+-- 條碼 → SKU（user-001）
+-- 同一商品可有多個條碼（單品 / 箱），pack_type 決定掃到後快速回覆預帶「出 1箱」或「出 1件」
+create table if not exists public.product_barcodes (
+  barcode     text primary key,
+  product_sku text not null,
+  pack_type   text not null default 'piece' check (pack_type in ('piece', 'box')),
+  created_at  timestamptz not null default now()
+);
+
+create index if not exists product_barcodes_sku_idx on public.product_barcodes (lower(product_sku));
+
+-- 只給 service role（bot）讀寫
+alter table public.product_barcodes enable row level security;
@@ -0,0 +1,63 @@
+-- 單一交易入庫（user-002）：建立 FIFO 批次 + 寫入庫紀錄，與 fifo_out_and_log 對稱
+--
+-- 本系列的庫存 RPC 都建立在 fifo_out_and_log / get_business_day_stock 既有的基礎表上
+-- （不在此 repo 內，以下為這些函式使用的欄位；實際欄位名不同時部署前對應調整）：
+--   products(sku text primary key（小寫）, name text, units_per_box int, unit_price_piece numeric)
+--   inventory_lots(id bigint, group_name text, sku text, warehouse_code text,
+--                  qty_pieces int（剩餘件數）, unit_price_piece numeric, received_at timestamptz, source_log_id bigint)
+--   inventory_logs(id bigint, group_name text, sku text, warehouse_code text,
+--                  kind text（in / out / transfer_in / transfer_out / adjust / undo）,
+--                  in_box int, in_piece int, out_box int, out_piece int, unit_price_piece numeric,
+--                  user_id uuid, source text, created_at timestamptz, reverse_of bigint)
+--   inventory_lot_moves(log_id bigint, lot_id bigint, pieces int)   -- 出庫扣了哪些批次（撤銷時原批次還原）
+-- 數量一律以「件」計：箱 × units_per_box + 件；營業日 05:00（Asia/Taipei）切日
+create or replace function public.fifo_in_and_log(
+  p_group text,
+  p_sku text,
+  p_warehouse_name text,
+  p_in_box text,
+  p_in_piece text,
+  p_user_id uuid,
+  p_source text default 'LINE',
+  p_at timestamptz default now()
+)
+returns table (product_name text, units_per_box int, unit_price_piece numeric, in_box int, in_piece int)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_group text := lower(trim(p_group));
+  v_sku text := lower(trim(p_sku));
+  v_wh text := coalesce(nullif(trim(p_warehouse_name), ''), 'unspecified');
+  v_box int := coalesce(nullif(trim(p_in_box), '')::int, 0);
+  v_piece int := coalesce(nullif(trim(p_in_piece), '')::int, 0);
+  v_product public.products%rowtype;
+  v_upb int;
+  v_log_id bigint;
+begin
+  if v_box < 0 or v_piece < 0 or v_box + v_piece = 0 then
+    raise exception 'INVALID_QTY: 入庫數量需大於 0';
+  end if;
+
+  select * into v_product from public.products where sku = v_sku;
+  if not found then
+    raise exception 'UNKNOWN_SKU: %', v_sku;
+  end if;
+  v_upb := greatest(coalesce(v_product.units_per_box, 1), 1);
+
+  insert into public.inventory_logs
+    (group_name, sku, warehouse_code, kind, in_box, in_piece, out_box, out_piece, unit_price_piece, user_id, source, created_at)
+  values
+    (v_group, v_sku, v_wh, 'in', v_box, v_piece, 0, 0, v_product.unit_price_piece, p_user_id, p_source, p_at)
+  returning id into v_log_id;
+
+  insert into public.inventory_lots (group_name, sku, warehouse_code, qty_pieces, unit_price_piece, received_at, source_log_id)
+  values (v_group, v_sku, v_wh, v_box * v_upb + v_piece, v_product.unit_price_piece, p_at, v_log_id);
+
+  return query select v_product.name, v_upb, v_product.unit_price_piece, v_box, v_piece;
+end;
+$$;
+
+revoke all on function public.fifo_in_and_log(text, text, text, text, text, uuid, text, timestamptz)
+  from public, anon, authenticated;
@@ -0,0 +1,115 @@
+-- 單一交易調撥（user-003）：來源倉依 FIFO 扣批次、目的倉以原批次單價建新批次，兩腳同一交易
+-- 基礎表見 20261019000200_fifo_in_and_log.sql 開頭說明
+
+-- 依 FIFO（先進先出）扣指定倉的批次，記到 inventory_lot_moves；不足時 raise INSUFFICIENT_STOCK（整筆交易回滾）
+-- 回傳扣到的 (lot_id, pieces, unit_price_piece)，調撥用來在目的倉建同單價批次
+create or replace function public.inventory_consume_fifo(
+  p_group text,
+  p_sku text,
+  p_warehouse_code text,
+  p_pieces int,
+  p_log_id bigint
+)
+returns table (lot_id bigint, pieces int, unit_price_piece numeric)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_need int := p_pieces;
+  v_lot record;
+  v_take int;
+begin
+  for v_lot in
+    select l.id, l.qty_pieces, l.unit_price_piece
+      from public.inventory_lots l
+     where l.group_name = p_group and l.sku = p_sku and l.warehouse_code = p_warehouse_code and l.qty_pieces > 0
+     order by l.received_at, l.id
+       for update
+  loop
+    exit when v_need <= 0;
+    v_take := least(v_need, v_lot.qty_pieces);
+    update public.inventory_lots set qty_pieces = qty_pieces - v_take where id = v_lot.id;
+    insert into public.inventory_lot_moves (log_id, lot_id, pieces) values (p_log_id, v_lot.id, v_take);
+    v_need := v_need - v_take;
+    lot_id := v_lot.id;
+    pieces := v_take;
+    unit_price_piece := v_lot.unit_price_piece;
+    return next;
+  end loop;
+
+  if v_need > 0 then
+    raise exception 'INSUFFICIENT_STOCK: %@% 不足 % 件', p_sku, p_warehouse_code, v_need;
+  end if;
+end;
+$$;
+
+create or replace function public.transfer_and_log(
+  p_group text,
+  p_sku text,
+  p_from_warehouse text,
+  p_to_warehouse text,
+  p_box text,
+  p_piece text,
+  p_user_id uuid,
+  p_source text default 'LINE',
+  p_at timestamptz default now()
+)
+returns table (product_name text, units_per_box int, unit_price_piece numeric, box int, piece int)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_group text := lower(trim(p_group));
+  v_sku text := lower(trim(p_sku));
+  v_from text := coalesce(nullif(trim(p_from_warehouse), ''), 'unspecified');
+  v_to text := coalesce(nullif(trim(p_to_warehouse), ''), 'unspecified');
+  v_box int := coalesce(nullif(trim(p_box), '')::int, 0);
+  v_piece int := coalesce(nullif(trim(p_piece), '')::int, 0);
+  v_product public.products%rowtype;
+  v_upb int;
+  v_out_id bigint;
+  v_in_id bigint;
+  v_taken record;
+begin
+  if v_box < 0 or v_piece < 0 or v_box + v_piece = 0 then
+    raise exception 'INVALID_QTY: 調撥數量需大於 0';
+  end if;
+  if v_from = v_to then
+    raise exception 'SAME_WAREHOUSE: 來源倉與目的倉相同';
+  end if;
+
+  select * into v_product from public.products where sku = v_sku;
+  if not found then
+    raise exception 'UNKNOWN_SKU: %', v_sku;
+  end if;
+  v_upb := greatest(coalesce(v_product.units_per_box, 1), 1);
+
+  insert into public.inventory_logs
+    (group_name, sku, warehouse_code, kind, in_box, in_piece, out_box, out_piece, unit_price_piece, user_id, source, created_at)
+  values
+    (v_group, v_sku, v_from, 'transfer_out', 0, 0, v_box, v_piece, v_product.unit_price_piece, p_user_id, p_source, p_at)
+  returning id into v_out_id;
+
+  insert into public.inventory_logs
+    (group_name, sku, warehouse_code, kind, in_box, in_piece, out_box, out_piece, unit_price_piece, user_id, source, created_at)
+  values
+    (v_group, v_sku, v_to, 'transfer_in', v_box, v_piece, 0, 0, v_product.unit_price_piece, p_user_id, p_source, p_at)
+  returning id into v_in_id;
+
+  -- 來源倉扣幾個批次，目的倉就建幾個同單價、同入庫時間的批次（FIFO 順序跟著搬過去）
+  for v_taken in select * from public.inventory_consume_fifo(v_group, v_sku, v_from, v_box * v_upb + v_piece, v_out_id) loop
+    insert into public.inventory_lots (group_name, sku, warehouse_code, qty_pieces, unit_price_piece, received_at, source_log_id)
+    select v_group, v_sku, v_to, v_taken.pieces, v_taken.unit_price_piece, l.received_at, v_in_id
+      from public.inventory_lots l
+     where l.id = v_taken.lot_id;
+  end loop;
+
+  return query select v_product.name, v_upb, v_product.unit_price_piece, v_box, v_piece;
+end;
+$$;
+
+revoke all on function public.inventory_consume_fifo(text, text, text, int, bigint) from public, anon, authenticated;
+revoke all on function public.transfer_and_log(text, text, text, text, text, text, uuid, text, timestamptz)
+  from public, anon, authenticated;
@@ -0,0 +1,86 @@
+-- 撤銷本人最後一筆出庫（user-004）：扣過的 FIFO 批次原數還原 + 寫一筆 undo 回沖紀錄，同一交易
+-- 基礎表見 20261019000200_fifo_in_and_log.sql 開頭說明
+--  - 只找 p_since（營業日起點或撤銷視窗，取較晚者）之後、本人、本分店、還沒被撤銷過的 out
+--  - p_dry_run = true：只回傳會被撤銷的那筆，不動庫存（bot 先依其倉別檢查限倉權限）
+--  - p_log_id：只撤銷這一筆（與 dry run 看到的是同一筆；期間被撤或超出視窗就回 0 列）
+--  - 找不到回傳 0 列
+create or replace function public.undo_last_out(
+  p_group text,
+  p_user_id uuid,
+  p_since timestamptz,
+  p_source text default 'LINE',
+  p_at timestamptz default now(),
+  p_dry_run boolean default false,
+  p_log_id bigint default null
+)
+returns table (
+  log_id bigint,
+  sku text,
+  product_name text,
+  warehouse_code text,
+  out_box int,
+  out_piece int,
+  unit_price_piece numeric
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_log public.inventory_logs%rowtype;
+  v_name text;
+  v_upb int;
+  v_restored int := 0;
+  v_move record;
+  v_undo_id bigint;
+begin
+  select l.* into v_log
+    from public.inventory_logs l
+   where l.group_name = lower(trim(p_group))
+     and l.user_id = p_user_id
+     and l.kind = 'out'
+     and l.created_at >= p_since
+     and (p_log_id is null or l.id = p_log_id)
+     and not exists (select 1 from public.inventory_logs u where u.reverse_of = l.id and u.kind = 'undo')
+   order by l.created_at desc, l.id desc
+   limit 1
+     for update;
+
+  if not found then
+    return;
+  end if;
+
+  select p.name, greatest(coalesce(p.units_per_box, 1), 1) into v_name, v_upb
+    from public.products p
+   where p.sku = v_log.sku;
+
+  if not p_dry_run then
+    insert into public.inventory_logs
+      (group_name, sku, warehouse_code, kind, in_box, in_piece, out_box, out_piece, unit_price_piece, user_id, source, created_at, reverse_of)
+    values
+      (v_log.group_name, v_log.sku, v_log.warehouse_code, 'undo', v_log.out_box, v_log.out_piece, 0, 0,
+       v_log.unit_price_piece, p_user_id, p_source, p_at, v_log.id)
+    returning id into v_undo_id;
+
+    -- 出庫時扣了哪些批次就原數加回（FIFO 順序與成本不變）
+    for v_move in select m.lot_id, m.pieces from public.inventory_lot_moves m where m.log_id = v_log.id loop
+      update public.inventory_lots set qty_pieces = qty_pieces + v_move.pieces where id = v_move.lot_id;
+      v_restored := v_restored + v_move.pieces;
+    end loop;
+
+    -- 沒有批次明細的舊紀錄：以出庫單價補一個批次
+    if v_restored < v_log.out_box * coalesce(v_upb, 1) + v_log.out_piece then
+      insert into public.inventory_lots (group_name, sku, warehouse_code, qty_pieces, unit_price_piece, received_at, source_log_id)
+      values (v_log.group_name, v_log.sku, v_log.warehouse_code,
+              v_log.out_box * coalesce(v_upb, 1) + v_log.out_piece - v_restored, v_log.unit_price_piece, p_at, v_undo_id);
+    end if;
+  end if;
+
+  return query
+    select v_log.id, v_log.sku, coalesce(v_name, v_log.sku), v_log.warehouse_code, v_log.out_box, v_log.out_piece,
+           v_log.unit_price_piece;
+end;
+$$;
+
+revoke all on function public.undo_last_out(text, uuid, timestamptz, text, timestamptz, boolean, bigint)
+  from public, anon, authenticated;
@@ -0,0 +1,10 @@
+-- 商品別名（user-009）：注音 / 拼音 / 俗稱，搜尋時與品名一起比對
+create table if not exists public.product_aliases (
+  id         bigint generated always as identity primary key,
+  sku        text not null,
+  alias      text not null,
+  created_at timestamptz not null default now(),
+  unique (sku, alias)
+);
+
+alter table public.product_aliases enable row level security;
@@ -0,0 +1,64 @@
+-- 商品主檔 + 結存（user-010，「查全」用）：含無庫存品項，附最後出庫時間與當時結存
+-- 基礎表見 20261019000200_fifo_in_and_log.sql 開頭說明
+--  - 每個 SKU × 倉一列（結存以營業日 p_biz_date 結束前的異動累計）；本分店從沒進過貨的商品回一列 warehouse_code = null、0 箱 0 散
+--  - last_out_at / last_balance_*：該倉最後一筆未撤銷出庫的時間與出庫後結存
+create or replace function public.get_product_master_stock(p_group text, p_biz_date date)
+returns table (
+  product_sku text,
+  product_name text,
+  units_per_box int,
+  unit_price_piece numeric,
+  warehouse_code text,
+  box int,
+  piece int,
+  last_out_at timestamptz,
+  last_balance_box int,
+  last_balance_piece int
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with bounds as (
+    select ((p_biz_date + 1)::timestamp + interval '5 hours') at time zone 'Asia/Taipei' as day_end
+  ),
+  ledger as (
+    select l.id, l.sku, l.warehouse_code, l.kind, l.created_at,
+           greatest(coalesce(p.units_per_box, 1), 1) as upb,
+           sum((l.in_box - l.out_box) * greatest(coalesce(p.units_per_box, 1), 1) + l.in_piece - l.out_piece)
+             over (partition by l.sku, l.warehouse_code order by l.created_at, l.id) as balance_pieces,
+           exists (select 1 from public.inventory_logs u where u.reverse_of = l.id and u.kind = 'undo') as undone
+      from public.inventory_logs l
+      join public.products p on p.sku = l.sku
+     where l.group_name = lower(trim(p_group))
+       and l.created_at < (select day_end from bounds)
+  ),
+  per_wh as (
+    select distinct on (sku, warehouse_code) sku, warehouse_code, upb, balance_pieces
+      from ledger
+     order by sku, warehouse_code, created_at desc, id desc
+  ),
+  last_out as (
+    select distinct on (sku, warehouse_code) sku, warehouse_code, upb, created_at, balance_pieces
+      from ledger
+     where kind = 'out' and not undone
+     order by sku, warehouse_code, created_at desc, id desc
+  )
+  select p.sku,
+         p.name,
+         greatest(coalesce(p.units_per_box, 1), 1),
+         p.unit_price_piece,
+         w.warehouse_code,
+         coalesce(w.balance_pieces / w.upb, 0)::int,
+         coalesce(w.balance_pieces % w.upb, 0)::int,
+         o.created_at,
+         (o.balance_pieces / o.upb)::int,
+         (o.balance_pieces % o.upb)::int
+    from public.products p
+    left join per_wh w on w.sku = p.sku
+    left join last_out o on o.sku = w.sku and o.warehouse_code = w.warehouse_code
+   order by p.sku, w.warehouse_code;
+$$;
+
+revoke all on function public.get_product_master_stock(text, date) from public, anon, authenticated;
@@ -0,0 +1,16 @@
+-- 安全庫存（user-011）：低於 min_pieces（換算件數）推播到分店群組
+-- warehouse_code 為 null = 全倉合計；group_name 一律存小寫
+create table if not exists public.reorder_points (
+  id             bigint generated always as identity primary key,
+  group_name     text not null check (group_name = lower(group_name)),
+  sku            text not null,
+  warehouse_code text,
+  min_pieces     integer not null check (min_pieces >= 0),
+  updated_at     timestamptz not null default now()
+);
+
+-- 同分店 / SKU / 倉只能一筆（全倉合計的 null 也算同一筆）
+create unique index if not exists reorder_points_uniq
+  on public.reorder_points (group_name, lower(sku), coalesce(warehouse_code, '*'));
+
+alter table public.reorder_points enable row level security;
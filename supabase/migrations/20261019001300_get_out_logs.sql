@@ -0,0 +1,58 @@
+-- 出庫紀錄（user-013，「今日出庫」/「報表」與日結推播用）：依分店 + 營業日，可限倉
+-- 基礎表見 20261019000200_fifo_in_and_log.sql 開頭說明
+--  - 只列 kind = 'out' 且沒被撤銷的紀錄（撤銷的出庫不算進報表）
+--  - operator_name：App 帳號的顯示名稱（auth.users metadata 的 display_name / name，沒有就用 email）
+
+create or replace function public.inventory_operator_name(p_user_id uuid)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(u.raw_user_meta_data ->> 'display_name', u.raw_user_meta_data ->> 'name', u.email)
+    from auth.users u
+   where u.id = p_user_id;
+$$;
+
+create or replace function public.get_out_logs(p_group text, p_biz_date date, p_warehouse_code text default null)
+returns table (
+  log_id bigint,
+  sku text,
+  product_name text,
+  warehouse_code text,
+  operator_name text,
+  created_at timestamptz,
+  out_box int,
+  out_piece int,
+  units_per_box int,
+  unit_price_piece numeric
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select l.id,
+         l.sku,
+         coalesce(p.name, l.sku),
+         l.warehouse_code,
+         public.inventory_operator_name(l.user_id),
+         l.created_at,
+         l.out_box,
+         l.out_piece,
+         greatest(coalesce(p.units_per_box, 1), 1),
+         coalesce(l.unit_price_piece, p.unit_price_piece, 0)
+    from public.inventory_logs l
+    left join public.products p on p.sku = l.sku
+   where l.group_name = lower(trim(p_group))
+     and l.kind = 'out'
+     and l.created_at >= (p_biz_date::timestamp + interval '5 hours') at time zone 'Asia/Taipei'
+     and l.created_at < ((p_biz_date + 1)::timestamp + interval '5 hours') at time zone 'Asia/Taipei'
+     and (p_warehouse_code is null or l.warehouse_code = p_warehouse_code)
+     and not exists (select 1 from public.inventory_logs u where u.reverse_of = l.id and u.kind = 'undo')
+   order by l.created_at, l.id;
+$$;
+
+revoke all on function public.inventory_operator_name(uuid) from public, anon, authenticated;
+revoke all on function public.get_out_logs(text, date, text) from public, anon, authenticated;
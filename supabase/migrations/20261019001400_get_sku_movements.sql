@@ -0,0 +1,56 @@
+-- SKU 異動歷史（user-014）：入 / 出 / 調撥 / 盤點調整 / 撤銷，新到舊分頁
+-- 基礎表見 20261019000200_fifo_in_and_log.sql 開頭說明
+--  - balance_box / balance_piece：該筆異動後「同倉」結存（件數累計後換算箱 + 散）
+--  - operator_name 用 inventory_operator_name（20261019001300_get_out_logs.sql）
+create or replace function public.get_sku_movements(p_group text, p_sku text, p_limit int default 11, p_offset int default 0)
+returns table (
+  log_id bigint,
+  kind text,
+  sku text,
+  product_name text,
+  warehouse_code text,
+  in_box int,
+  in_piece int,
+  out_box int,
+  out_piece int,
+  balance_box int,
+  balance_piece int,
+  operator_name text,
+  created_at timestamptz
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with ledger as (
+    select l.*,
+           p.name as product_name,
+           greatest(coalesce(p.units_per_box, 1), 1) as upb,
+           sum((l.in_box - l.out_box) * greatest(coalesce(p.units_per_box, 1), 1) + l.in_piece - l.out_piece)
+             over (partition by l.warehouse_code order by l.created_at, l.id) as balance_pieces
+      from public.inventory_logs l
+      left join public.products p on p.sku = l.sku
+     where l.group_name = lower(trim(p_group))
+       and l.sku = lower(trim(p_sku))
+  )
+  select id,
+         kind,
+         sku,
+         coalesce(product_name, sku),
+         warehouse_code,
+         in_box,
+         in_piece,
+         out_box,
+         out_piece,
+         (balance_pieces / upb)::int,
+         (balance_pieces % upb)::int,
+         public.inventory_operator_name(user_id),
+         created_at
+    from ledger
+   order by created_at desc, id desc
+   limit greatest(p_limit, 0)
+  offset greatest(p_offset, 0);
+$$;
+
+revoke all on function public.get_sku_movements(text, text, int, int) from public, anon, authenticated;
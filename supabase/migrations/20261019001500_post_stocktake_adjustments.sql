@@ -0,0 +1,80 @@
+-- 盤點過帳（user-015）：每個品項實盤 vs 帳上差異寫成 adjust 紀錄，整張盤點單同一交易（任一品項失敗全部回滾）
+-- 基礎表見 20261019000200_fifo_in_and_log.sql 開頭說明
+--  - p_items：[{ "sku": "a001", "counted_box": 2, "counted_piece": 3 }, ...]
+--  - 盤盈：以商品單價建新批次；盤虧：依 FIFO 扣批次（inventory_consume_fifo，20261019000300_transfer_and_log.sql）
+--  - 沒差異的品項不寫紀錄；回傳每個品項的帳上 / 實盤 / 差異件數
+create or replace function public.post_stocktake_adjustments(
+  p_group text,
+  p_warehouse_code text,
+  p_items jsonb,
+  p_user_id uuid,
+  p_source text default 'LINE',
+  p_at timestamptz default now()
+)
+returns table (sku text, book_pieces int, counted_pieces int, diff_pieces int)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_group text := lower(trim(p_group));
+  v_wh text := coalesce(nullif(trim(p_warehouse_code), ''), 'unspecified');
+  v_item jsonb;
+  v_sku text;
+  v_product public.products%rowtype;
+  v_upb int;
+  v_book int;
+  v_counted int;
+  v_diff int;
+  v_log_id bigint;
+begin
+  if jsonb_typeof(p_items) <> 'array' then
+    raise exception 'INVALID_ITEMS: p_items 需為陣列';
+  end if;
+
+  for v_item in select * from jsonb_array_elements(p_items) loop
+    v_sku := lower(trim(v_item ->> 'sku'));
+    select * into v_product from public.products p where p.sku = v_sku;
+    if not found then
+      raise exception 'UNKNOWN_SKU: %', v_sku;
+    end if;
+    v_upb := greatest(coalesce(v_product.units_per_box, 1), 1);
+    v_counted := coalesce((v_item ->> 'counted_box')::int, 0) * v_upb + coalesce((v_item ->> 'counted_piece')::int, 0);
+    if v_counted < 0 then
+      raise exception 'INVALID_QTY: % 實盤數量不可為負', v_sku;
+    end if;
+
+    select coalesce(sum(l.qty_pieces), 0)::int into v_book
+      from public.inventory_lots l
+     where l.group_name = v_group and l.sku = v_sku and l.warehouse_code = v_wh;
+    v_diff := v_counted - v_book;
+
+    if v_diff <> 0 then
+      insert into public.inventory_logs
+        (group_name, sku, warehouse_code, kind, in_box, in_piece, out_box, out_piece, unit_price_piece, user_id, source, created_at)
+      values
+        (v_group, v_sku, v_wh, 'adjust',
+         case when v_diff > 0 then v_diff / v_upb else 0 end, case when v_diff > 0 then v_diff % v_upb else 0 end,
+         case when v_diff < 0 then -v_diff / v_upb else 0 end, case when v_diff < 0 then -v_diff % v_upb else 0 end,
+         v_product.unit_price_piece, p_user_id, p_source, p_at)
+      returning id into v_log_id;
+
+      if v_diff > 0 then
+        insert into public.inventory_lots (group_name, sku, warehouse_code, qty_pieces, unit_price_piece, received_at, source_log_id)
+        values (v_group, v_sku, v_wh, v_diff, v_product.unit_price_piece, p_at, v_log_id);
+      else
+        perform public.inventory_consume_fifo(v_group, v_sku, v_wh, -v_diff, v_log_id);
+      end if;
+    end if;
+
+    sku := v_sku;
+    book_pieces := v_book;
+    counted_pieces := v_counted;
+    diff_pieces := v_diff;
+    return next;
+  end loop;
+end;
+$$;
+
+revoke all on function public.post_stocktake_adjustments(text, text, jsonb, uuid, text, timestamptz)
+  from public, anon, authenticated;
@@ -0,0 +1,14 @@
+-- 角色 × 功能權限（user-016）
+-- 有設定的角色以此表為準；沒設定的角色用 bot 內建預設（DEFAULT_ROLE_PERMISSIONS）
+-- warehouse_codes 為 null 或空陣列 = 不限倉
+create table if not exists public.role_permissions (
+  role            text not null,
+  permission      text not null check (
+    permission in ('query', 'out', 'in', 'transfer', 'undo', 'report', 'stocktake', 'stocktake_manage', 'admin')
+  ),
+  warehouse_codes text[],
+  updated_at      timestamptz not null default now(),
+  primary key (role, permission)
+);
+
+alter table public.role_permissions enable row level security;
@@ -0,0 +1,16 @@
+-- 管理稽核（user-017）：綁定分店 / 設定分店 / 設定角色 / 黑名單等變更，一次一筆
+create table if not exists public.admin_audit_logs (
+  id                 bigint generated always as identity primary key,
+  actor_line_user_id text not null,
+  action             text not null,
+  target             text,
+  before             jsonb,
+  after              jsonb,
+  group_name         text,
+  created_at         timestamptz not null default now()
+);
+
+create index if not exists admin_audit_logs_created_idx on public.admin_audit_logs (created_at desc);
+create index if not exists admin_audit_logs_target_idx on public.admin_audit_logs (target);
+
+alter table public.admin_audit_logs enable row level security;
@@ -0,0 +1,47 @@
+-- 帳號綁定驗證碼（user-018）：App 產生一次性驗證碼 → 私訊「綁定 123456」
+-- display_name 由 App 產生驗證碼時一併寫入，綁定成功時回給 bot 顯示
+create table if not exists public.line_link_codes (
+  code         text primary key,
+  auth_user_id uuid not null,
+  display_name text,
+  expires_at   timestamptz not null,
+  used_at      timestamptz,
+  used_by      text,
+  created_at   timestamptz not null default now()
+);
+
+create index if not exists line_link_codes_user_idx on public.line_link_codes (auth_user_id);
+
+alter table public.line_link_codes enable row level security;
+
+-- 驗證碼未過期且未使用 → 作廢驗證碼並寫入 line_user_map（單一交易）
+-- 無效 / 過期 / 已用過回傳 0 列；同一 LINE 使用者或 App 帳號原有的綁定會被取代
+create or replace function public.redeem_line_link_code(p_code text, p_line_user_id text)
+returns table (auth_user_id uuid, display_name text)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_code public.line_link_codes%rowtype;
+begin
+  update public.line_link_codes c
+     set used_at = now(), used_by = p_line_user_id
+   where c.code = trim(p_code)
+     and c.used_at is null
+     and c.expires_at > now()
+  returning c.* into v_code;
+
+  if not found then
+    return;
+  end if;
+
+  delete from public.line_user_map m
+   where m.line_user_id = p_line_user_id or m.auth_user_id = v_code.auth_user_id;
+  insert into public.line_user_map (line_user_id, auth_user_id) values (p_line_user_id, v_code.auth_user_id);
+
+  return query select v_code.auth_user_id, v_code.display_name;
+end;
+$$;
+
+revoke all on function public.redeem_line_link_code(text, text) from public, anon, authenticated;
@@ -0,0 +1,10 @@
+-- 使用者額外可用分店（user-019）：主分店仍是 users.群組，這裡放其餘分店
+-- 由 App 維護；bot 讀取後快取 5 分鐘
+create table if not exists public.user_branches (
+  user_id    text not null,
+  "群組"     text not null,
+  created_at timestamptz not null default now(),
+  primary key (user_id, "群組")
+);
+
+alter table public.user_branches enable row level security;
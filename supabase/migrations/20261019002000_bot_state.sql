@@ -0,0 +1,35 @@
+-- 對話狀態（user-020）：STATE_STORE=supabase 時多台共用
+-- 過期列由 bot 每 10 分鐘清一次；讀取時一律帶 expires_at > now()
+create table if not exists public.bot_state (
+  ns         text not null,
+  key        text not null,
+  value      jsonb,
+  expires_at timestamptz not null,
+  primary key (ns, key)
+);
+
+create index if not exists bot_state_expires_idx on public.bot_state (expires_at);
+
+alter table public.bot_state enable row level security;
+
+-- 原子「沒有（或已過期）才寫入」：去重、搶鎖、一次性旗標用；回傳是否寫入成功
+create or replace function public.bot_state_set_if_absent(p_ns text, p_key text, p_value jsonb, p_ttl_ms bigint)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_ok boolean;
+begin
+  insert into public.bot_state as s (ns, key, value, expires_at)
+  values (p_ns, p_key, p_value, now() + make_interval(secs => p_ttl_ms / 1000.0))
+  on conflict (ns, key) do update
+     set value = excluded.value, expires_at = excluded.expires_at
+   where s.expires_at <= now()
+  returning true into v_ok;
+  return coalesce(v_ok, false);
+end;
+$$;
+
+revoke all on function public.bot_state_set_if_absent(text, text, jsonb, bigint) from public, anon, authenticated;
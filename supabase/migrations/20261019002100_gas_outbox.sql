@@ -0,0 +1,21 @@
+-- GAS outbox（user-021）：先寫表，再由背景 worker 送出；失敗指數退避，超過次數轉 dead
+-- 多台部署時以 next_attempt_at 做樂觀認領（見 bot 的 processOutbox）
+create table if not exists public.gas_outbox (
+  id              bigint generated always as identity primary key,
+  idempotency_key text not null,
+  payload         jsonb not null,
+  status          text not null default 'pending' check (status in ('pending', 'sent', 'dead')),
+  attempts        integer not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  last_error      text,
+  created_at      timestamptz not null default now(),
+  sent_at         timestamptz,
+  constraint gas_outbox_idempotency_key_key unique (idempotency_key)
+);
+
+-- worker：pending 且到期，依 id 順序
+create index if not exists gas_outbox_due_idx on public.gas_outbox (next_attempt_at, id) where status = 'pending';
+-- 管理端點 / 對帳：依狀態 + 分店查
+create index if not exists gas_outbox_status_group_idx on public.gas_outbox (status, (payload ->> 'group'), id desc);
+
+alter table public.gas_outbox enable row level security;
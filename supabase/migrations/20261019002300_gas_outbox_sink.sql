@@ -0,0 +1,6 @@
+-- 多 sink fan-out（user-023）：同一事件每個 sink 各一筆 outbox，idempotency_key 相同
+-- 既有列都是送 GAS 的，補 sink = 'gas'
+alter table public.gas_outbox add column if not exists sink text not null default 'gas';
+
+alter table public.gas_outbox drop constraint if exists gas_outbox_idempotency_key_key;
+alter table public.gas_outbox add constraint gas_outbox_sink_idempotency_key_key unique (sink, idempotency_key);
@@ -0,0 +1,14 @@
+-- REST API 用戶端（user-025）：X-Api-Key 只存 sha256 hex，不存明碼
+-- branches：可用分店（'*' = 全部）；auth_user_id：出庫寫入紀錄用的 App 帳號
+create table if not exists public.api_clients (
+  id           bigint generated always as identity primary key,
+  name         text not null unique,
+  key_hash     text not null unique check (key_hash ~ '^[0-9a-f]{64}$'),
+  role         text not null default '唯讀',
+  branches     text[] not null default '{}',
+  auth_user_id uuid,
+  active       boolean not null default true,
+  created_at   timestamptz not null default now()
+);
+
+alter table public.api_clients enable row level security;
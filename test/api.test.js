@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import app from './load-app.js';
+
+const { ApiError, sendApiError, resolveApiBranch } = app;
+
+function fakeRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+const req = { method: 'POST', path: '/api/out' };
+
+test('sendApiError：ApiError 轉狀態碼 + { error, message, ...extra }', () => {
+  const res = fakeRes();
+  sendApiError(req, res, new ApiError(409, 'CONFIRM_REQUIRED', '大量出庫需確認', { reasons: ['數量 > 60'] }));
+  assert.equal(res.statusCode, 409);
+  assert.deepEqual(res.body, { error: 'CONFIRM_REQUIRED', message: '大量出庫需確認', reasons: ['數量 > 60'] });
+});
+
+test('sendApiError：其他例外一律 500 INTERNAL', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const res = fakeRes();
+  sendApiError(req, res, new Error('boom'));
+  assert.equal(res.statusCode, 500);
+  assert.deepEqual(res.body, { error: 'INTERNAL', message: 'boom' });
+});
+
+test('resolveApiBranch：未帶分店用第一個可用分店，無權限丟 BRANCH_FORBIDDEN', () => {
+  const principal = { branches: ['台北', '台中'] };
+  assert.equal(resolveApiBranch(principal, ''), '台北');
+  assert.equal(resolveApiBranch(principal, '台中'), '台中');
+  assert.throws(() => resolveApiBranch(principal, '高雄'), (e) => e instanceof ApiError && e.status === 403 && e.code === 'BRANCH_FORBIDDEN');
+  assert.throws(() => resolveApiBranch({ branches: ['*'] }, ''), (e) => e.code === 'INVALID_REQUEST');
+  assert.equal(resolveApiBranch({ branches: ['*'] }, '高雄'), '高雄');
+});
@@ -0,0 +1,24 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import app from './load-app.js';
+
+const { signGasBody } = app;
+
+test('signGasBody：每把密鑰各一個 v1 簽章，簽的是 ts.nonce.body', () => {
+  const body = JSON.stringify({ sku: 'a001' });
+  const { ts, nonce, sig } = signGasBody(body, ['s1', 's2']);
+  assert.match(ts, /^\d+$/);
+  assert.ok(Math.abs(Number(ts) - Date.now() / 1000) < 5);
+  const expected = ['s1', 's2'].map((s) => `v1=${createHmac('sha256', s).update(`${ts}.${nonce}.${body}`).digest('hex')}`);
+  assert.equal(sig, expected.join(','));
+});
+
+test('signGasBody：只有 secondary 一把時也能簽', () => {
+  const { sig } = signGasBody('', ['only-secondary']);
+  assert.equal(sig.split(',').length, 1);
+});
+
+test('signGasBody：nonce 每次不同', () => {
+  assert.notEqual(signGasBody('', ['s1']).nonce, signGasBody('', ['s1']).nonce);
+});
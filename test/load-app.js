@@ -0,0 +1,10 @@
+// index.js 在 import 時就建立 Supabase / LINE client，先給假的環境變數（不會連線）
+process.env.SUPABASE_URL ||= 'http://127.0.0.1:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test-service-role-key';
+process.env.LINE_CHANNEL_ACCESS_TOKEN ||= 'test-access-token';
+process.env.LINE_CHANNEL_SECRET ||= 'test-channel-secret';
+process.env.BOT_NO_LISTEN = '1';
+process.env.STATE_STORE = 'memory';
+process.env.GAS_OUTBOX_BACKOFF_SEC = '30';
+
+export default await import('../index.js');
@@ -0,0 +1,11 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import app from './load-app.js';
+
+const { outboxBackoffMs } = app;
+
+test('outboxBackoffMs：30 秒起每次加倍，上限 1 小時', () => {
+  assert.deepEqual([0, 1, 2, 3].map(outboxBackoffMs), [30000, 30000, 60000, 120000]);
+  assert.equal(outboxBackoffMs(8), 60 * 60 * 1000);
+  assert.equal(outboxBackoffMs(50), 60 * 60 * 1000);
+});
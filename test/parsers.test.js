@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import app from './load-app.js';
+
+const { parseBatchOutLines, parseCommand, parseCsv, parsePostback } = app;
+
+test('parseBatchOutLines：有效行與無效行分開列出', () => {
+  assert.deepEqual(parseBatchOutLines('#A001 出 2箱\n#b002 出庫 3件 @總倉\nhello'), {
+    items: [
+      { lineNo: 1, raw: '#A001 出 2箱', sku: 'a001', box: 2, piece: 0, warehouse: null },
+      { lineNo: 2, raw: '#b002 出庫 3件 @總倉', sku: 'b002', box: 0, piece: 3, warehouse: '總倉' },
+    ],
+    invalid: [{ lineNo: 3, raw: 'hello' }],
+  });
+});
+
+test('parseBatchOutLines：單行有效算一筆的批次，單行查詢或全部無效不算', () => {
+  assert.deepEqual(parseBatchOutLines('#A001 出 2箱'), {
+    items: [{ lineNo: 1, raw: '#A001 出 2箱', sku: 'a001', box: 2, piece: 0, warehouse: null }],
+    invalid: [],
+  });
+  assert.equal(parseBatchOutLines('#A001'), null);
+  assert.equal(parseBatchOutLines('hello\nworld'), null);
+});
+
+test('parseCommand：查詢', () => {
+  assert.deepEqual(parseCommand('查 可樂'), { type: 'query', keyword: '可樂' });
+  assert.deepEqual(parseCommand('查詢可樂'), { type: 'query', keyword: '可樂' });
+  assert.deepEqual(parseCommand('查 可樂 全分店'), { type: 'query_cross', keyword: '可樂' });
+  assert.deepEqual(parseCommand('#A001'), { type: 'sku', sku: 'A001' });
+  assert.deepEqual(parseCommand('編號：a001'), { type: 'sku', sku: 'a001' });
+});
+
+test('parseCommand：查全 需要空白，查全家 / 查全脂 仍是一般查詢', () => {
+  assert.deepEqual(parseCommand('查全 可樂'), { type: 'query_all', keyword: '可樂' });
+  assert.deepEqual(parseCommand('查全家'), { type: 'query', keyword: '全家' });
+  assert.deepEqual(parseCommand('查全脂牛奶'), { type: 'query', keyword: '全脂牛奶' });
+});
+
+test('parseCommand：出庫 / 入庫數量與倉別', () => {
+  assert.deepEqual(parseCommand('出 2箱3件'), { type: 'change', action: 'out', box: 2, piece: 3, warehouse: null });
+  assert.deepEqual(parseCommand('出3'), { type: 'change', action: 'out', box: 0, piece: 3, warehouse: null });
+  assert.deepEqual(parseCommand('出庫 3 @總倉'), { type: 'change', action: 'out', box: 0, piece: 3, warehouse: '總倉' });
+  assert.deepEqual(parseCommand('入 1箱'), { type: 'change', action: 'in', box: 1, piece: 0, warehouse: null });
+});
+
+test('parseCommand：其他指令', () => {
+  assert.deepEqual(parseCommand('撤銷'), { type: 'undo' });
+  assert.deepEqual(parseCommand('條碼 4710001'), { type: 'barcode', barcode: '4710001' });
+  assert.deepEqual(parseCommand('切換 台北'), { type: 'switch_branch', branch: '台北' });
+  assert.deepEqual(parseCommand('調 2箱 @總倉 > 代夾物'), { type: 'transfer', box: 2, piece: 0, from: '總倉', to: '代夾物' });
+  assert.equal(parseCommand('hello'), null);
+});
+
+test('parseCommand：管理指令依 mentionees 移除提及（顯示名稱可含空白）', () => {
+  const text = '設定分店 @Amy Lee 台北';
+  assert.deepEqual(parseCommand(text, [{ index: 5, length: 8, userId: 'U1' }]), {
+    type: 'admin',
+    action: 'set_branch',
+    value: '台北',
+    userIds: [],
+  });
+});
+
+test('parsePostback：翻頁（k 或 kid）', () => {
+  assert.deepEqual(parsePostback('a=more&m=all&k=%E5%8F%AF%E6%A8%82&o=10'), {
+    type: 'more_postback',
+    mode: 'all',
+    keyword: '可樂',
+    keywordId: null,
+    offset: 10,
+  });
+  // 不認得的 mode 退回 name；負的 offset 視為 0
+  assert.deepEqual(parsePostback('a=more&m=bad&kid=ab12cd34&o=-3'), {
+    type: 'more_postback',
+    mode: 'name',
+    keyword: '',
+    keywordId: 'ab12cd34',
+    offset: 0,
+  });
+});
+
+test('parsePostback：選倉 / 出庫確認 / 未知', () => {
+  assert.deepEqual(parsePostback('a=wh_select&sku=A001&wh=main'), { type: 'wh_select_postback', sku: 'a001', wh: 'main' });
+  assert.deepEqual(parsePostback('a=out_confirm&id=abc'), { type: 'out_confirm_postback', id: 'abc' });
+  assert.deepEqual(parsePostback('a=out_cancel&id=abc'), { type: 'out_cancel_postback', id: 'abc' });
+  assert.equal(parsePostback('a=nope'), null);
+  assert.equal(parsePostback(''), null);
+});
+
+test('parseCsv：引號、跳脫與 CRLF', () => {
+  assert.deepEqual(parseCsv('a,b\n"x,1","he said ""hi"""\r\n3,4'), [
+    { a: 'x,1', b: 'he said "hi"' },
+    { a: '3', b: '4' },
+  ]);
+});
@@ -0,0 +1,12 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import app from './load-app.js';
+
+const { skuMatchKey } = app;
+
+test('skuMatchKey：保留 - _ . 等符號，只轉小寫與全形', () => {
+  assert.equal(skuMatchKey('A-001'), 'a-001');
+  assert.equal(skuMatchKey(' ab_12 '), 'ab_12');
+  assert.equal(skuMatchKey('x.7'), 'x.7');
+  assert.equal(skuMatchKey('Ａ－００１'), 'a-001');
+});